@@ -0,0 +1,17 @@
+// JWT configuration for admin authentication
+const logger = require('../services/logger');
+
+const jwtSecret = process.env.JWT_SECRET;
+
+// Validate configuration
+if (!jwtSecret) {
+  logger.error("❌ Error: JWT_SECRET not set in .env file");
+  process.exit(1);
+}
+
+module.exports = {
+  jwtSecret,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+  adminUsername: process.env.ADMIN_USERNAME || process.env.ADMIN_USER,
+  adminPassword: process.env.ADMIN_PASSWORD || process.env.ADMIN_PASS
+};
@@ -1,18 +1,11 @@
 const cloudinary = require("cloudinary").v2;
 
 // Configure Cloudinary with environment variables
+// (validated by the Cloudinary storage driver, only when that driver is selected)
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
   api_key: process.env.CLOUDINARY_API_KEY,
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
-// Validate configuration
-if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-  console.error("❌ Error: Cloudinary environment variables not set");
-  console.error("Required: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET");
-  process.exit(1);
-}
-
-console.log("✅ Cloudinary configured successfully");
 module.exports = cloudinary;
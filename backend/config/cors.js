@@ -0,0 +1,22 @@
+// Browser origins allowed to call the API (see middleware/cors.js)
+//
+// CORS_ORIGINS is a comma separated allowlist of exact origins ("https://booth.example.com")
+// and wildcard subdomains ("https://*.example.com"); "*" allows every origin. Without it,
+// each environment falls back to the defaults below. CORS_ORIGIN is the older name.
+const DEFAULT_ORIGINS = {
+  production: ['https://stripphotobooth11.netlify.app'],
+  development: ['https://stripphotobooth11.netlify.app', 'http://localhost:3000', 'http://127.0.0.1:3000']
+};
+
+const environment = process.env.NODE_ENV === 'production' ? 'production' : 'development';
+const configured = process.env.CORS_ORIGINS || process.env.CORS_ORIGIN;
+
+module.exports = {
+  environment,
+  origins: configured
+    ? configured.split(',').map((origin) => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+    : DEFAULT_ORIGINS[environment],
+  // Log every allow/reject decision at info level (CORS_DEBUG=true); otherwise they are debug entries
+  debug: process.env.CORS_DEBUG === 'true',
+  maxAgeSeconds: 24 * 60 * 60 // Browsers cache preflight responses for a day
+};
@@ -0,0 +1,11 @@
+// Log verbosity and output format (see services/logger.js)
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+const FORMATS = ['json', 'pretty'];
+const production = process.env.NODE_ENV === 'production';
+
+module.exports = {
+  // LOG_LEVEL=error|warn|info|debug; debug adds per-request and troubleshooting detail
+  level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : (production ? 'info' : 'debug'),
+  // LOG_FORMAT=json|pretty; JSON lines are for log collectors
+  format: FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : (production ? 'json' : 'pretty')
+};
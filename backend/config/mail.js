@@ -0,0 +1,19 @@
+// SMTP configuration for emailing strips to guests. Email is disabled without SMTP_HOST.
+const smtpHost = process.env.SMTP_HOST;
+
+module.exports = {
+  enabled: !!smtpHost,
+  smtp: {
+    host: smtpHost,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true for port 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  },
+  from: process.env.MAIL_FROM || 'Strip Photobooth <photobooth@localhost>',
+  // Base URL of the frontend, used for share links in emails
+  appUrl: process.env.FRONTEND_URL || null,
+  maxAttempts: Number(process.env.MAIL_MAX_ATTEMPTS) || 5,
+  retryBaseSeconds: Number(process.env.MAIL_RETRY_SECONDS) || 30
+};
@@ -0,0 +1,14 @@
+// Limits for the public upload endpoints. Set any limit to 0 to turn it off.
+// Per-IP limits see the proxy's address unless TRUST_PROXY is set (see server.js).
+const readLimit = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  windowSeconds: readLimit('UPLOAD_RATE_WINDOW_SECONDS', 60) || 60,
+  perIp: readLimit('UPLOAD_RATE_PER_IP', 10), // Strip uploads per client IP per window
+  perBooth: readLimit('UPLOAD_RATE_PER_BOOTH', 60), // Strip uploads per event (or the default booth) per window
+  maxConcurrent: readLimit('UPLOAD_MAX_CONCURRENT', 8), // Strip uploads processed at once, across all clients
+  emailPerIp: readLimit('EMAIL_RATE_PER_IP', 5) // Guest email requests per client IP per window
+};
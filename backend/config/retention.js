@@ -0,0 +1,7 @@
+// How often the retention policy (services/retention.js) looks for expired strips
+const minutes = Number(process.env.RETENTION_SWEEP_MINUTES);
+
+module.exports = {
+  sweepIntervalMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000,
+  previewSampleSize: 12 // Strips shown in the dry-run preview
+};
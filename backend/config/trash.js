@@ -0,0 +1,7 @@
+// How long deleted strips stay in the trash before their images are purged
+const days = Number(process.env.TRASH_PURGE_DAYS);
+
+module.exports = {
+  purgeAfterDays: Number.isFinite(days) && days >= 0 ? days : 30,
+  sweepIntervalMs: 60 * 60 * 1000 // Check for expired strips hourly
+};
@@ -0,0 +1,18 @@
+// Upload limits shared by the JSON, multipart and raw strip upload paths
+const maxStripMb = Number(process.env.MAX_UPLOAD_MB) || 10;
+
+module.exports = {
+  maxStripBytes: maxStripMb * 1024 * 1024,
+  // Base64 inflates data by 4/3, plus room for the other JSON fields
+  jsonBodyLimit: `${Math.ceil(maxStripMb * 1.4) + 1}mb`,
+  // Quality of the JPEG strips are re-encoded to before storage
+  stripJpegQuality: Math.min(Math.max(Number(process.env.STRIP_JPEG_QUALITY) || 90, 1), 100),
+  // How far an upload's aspect ratio may drift from the configured strip size
+  stripAspectTolerance: 0.02,
+  // Reject decompression bombs before they are decoded
+  maxInputPixels: 40 * 1000 * 1000,
+  // Backup archives uploaded for a restore (spooled to a temp file, not held in memory)
+  maxBackupBytes: (Number(process.env.MAX_BACKUP_MB) || 2048) * 1024 * 1024,
+  // How long a repeated Idempotency-Key returns the strip it already created
+  uploadKeyTtlMs: (Number(process.env.UPLOAD_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000
+};
@@ -0,0 +1,122 @@
+const Strip = require('../models/Strip');
+const logger = require('../services/logger');
+const { parseDate } = require('../utils/dates');
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const MS_PER_SECOND = 1000;
+const PEAK_HOURS = 3;
+
+/**
+ * GET /api/analytics
+ * Query: event, from, to (ISO dates), tz (IANA time zone for hour buckets, default UTC)
+ * Returns { range, totals, avgSecondsToPrint, perHour, perHourOfDay, perEvent, peakHours }
+ * Trashed strips are not counted.
+ */
+exports.getAnalytics = async (req, res) => {
+  try {
+    const fromDate = parseDate(req.query.from);
+    const toDate = parseDate(req.query.to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ message: "❌ Invalid date in 'from' or 'to'" });
+    }
+
+    const timezone = req.query.tz || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: "❌ Unknown time zone in 'tz'" });
+    }
+
+    // Served by the { event, timestamp } and { timestamp } indexes
+    const match = { deletedAt: null };
+    if (req.event) match.event = req.event._id;
+    if (fromDate || toDate) {
+      match.timestamp = {};
+      if (fromDate) match.timestamp.$gte = fromDate;
+      if (toDate) match.timestamp.$lte = toDate;
+    }
+
+    const printedCount = { $sum: { $cond: ['$printed', 1, 0] } };
+
+    const [result] = await Strip.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                strips: { $sum: 1 },
+                printed: printedCount,
+                first: { $min: '$timestamp' },
+                last: { $max: '$timestamp' }
+              }
+            }
+          ],
+          timeToPrint: [
+            { $match: { printed: true, printedAt: { $ne: null } } },
+            { $group: { _id: null, avgMs: { $avg: { $subtract: ['$printedAt', '$timestamp'] } } } }
+          ],
+          perHour: [
+            {
+              $group: {
+                _id: { $dateToString: { format: '%Y-%m-%dT%H:00', date: '$timestamp', timezone } },
+                strips: { $sum: 1 },
+                printed: printedCount
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          perHourOfDay: [
+            { $group: { _id: { $hour: { date: '$timestamp', timezone } }, strips: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ],
+          perEvent: [
+            { $group: { _id: '$event', eventName: { $last: '$eventName' }, strips: { $sum: 1 }, printed: printedCount } },
+            { $sort: { strips: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { strips: 0, printed: 0, first: null, last: null };
+    const perHour = result.perHour.map((h) => ({ hour: h._id, strips: h.strips, printed: h.printed }));
+    const avgMs = result.timeToPrint[0]?.avgMs;
+
+    res.json({
+      range: { from: fromDate || totals.first, to: toDate || totals.last, timezone },
+      totals: {
+        strips: totals.strips,
+        printed: totals.printed,
+        unprinted: totals.strips - totals.printed,
+        printRate: totals.strips > 0 ? totals.printed / totals.strips : 0
+      },
+      avgSecondsToPrint: avgMs === undefined || avgMs === null ? null : Math.round(avgMs / MS_PER_SECOND),
+      perHour,
+      // Every hour of the day, so charts show quiet hours as zero
+      perHourOfDay: Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        strips: result.perHourOfDay.find((h) => h._id === hour)?.strips || 0
+      })),
+      perEvent: result.perEvent.map((e) => ({
+        event: e._id,
+        eventName: e.eventName || null,
+        strips: e.strips,
+        printed: e.printed
+      })),
+      peakHours: [...perHour].sort((a, b) => b.strips - a.strips || a.hour.localeCompare(b.hour)).slice(0, PEAK_HOURS)
+    });
+  } catch (error) {
+    logger.error("❌ Error building analytics", error);
+    res.status(500).json({
+      message: "❌ Error building analytics",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Database error"
+    });
+  }
+};
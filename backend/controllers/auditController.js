@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../services/logger');
+const { parseDate } = require('../utils/dates');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * GET /api/audit-logs
+ * Query: action (comma separated), actor (username), event, from, to (ISO dates),
+ * limit, cursor (the previous page's nextCursor). Newest first.
+ * Returns { entries, nextCursor, hasMore, actions }
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { action, actor, from, to, cursor } = req.query;
+    const filter = {};
+
+    if (req.event) {
+      filter.event = req.event._id;
+    }
+
+    if (action) {
+      const actions = String(action).split(',').filter(Boolean);
+      const unknown = actions.filter((a) => !AuditLog.ACTIONS.includes(a));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `❌ Unknown action: ${unknown.join(', ')}` });
+      }
+      filter.action = { $in: actions };
+    }
+
+    if (actor && actor.trim()) {
+      filter['actor.username'] = actor.trim().toLowerCase();
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ message: "❌ Invalid date in 'from' or 'to'" });
+    }
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+
+    // ObjectIds grow over time, so the last ID is enough to continue from
+    if (cursor) {
+      if (!mongoose.Types.ObjectId.isValid(cursor)) {
+        return res.status(400).json({ message: "❌ Invalid cursor" });
+      }
+      filter._id = { $lt: new mongoose.Types.ObjectId(cursor) };
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const entries = await AuditLog.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('event', 'name slug');
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    res.json({
+      entries: page,
+      nextCursor: hasMore ? String(page[page.length - 1]._id) : null,
+      hasMore,
+      actions: AuditLog.ACTIONS
+    });
+  } catch (error) {
+    logger.error("❌ Error fetching audit log", error);
+    res.status(500).json({
+      message: "❌ Error fetching audit log",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Database error"
+    });
+  }
+};
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const { jwtSecret, jwtExpiresIn } = require('../config/auth');
+const logger = require('../services/logger');
+
+// Log in an admin and issue a signed session token
+exports.login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    // Anything but strings (numbers, objects...) would reach the query and bcrypt as is
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim() || !password) {
+      return res.status(400).json({ message: '❌ Username and password are required' });
+    }
+
+    const admin = await Admin.findOne({ username: username.toLowerCase().trim() });
+
+    // Same response for unknown user and wrong password
+    if (!admin || !(await admin.comparePassword(password))) {
+      logger.warn(`⚠️ Failed admin login attempt for "${username}" from ${req.ip}`);
+      return res.status(401).json({ message: '❌ Invalid username or password' });
+    }
+
+    const token = jwt.sign(
+      { sub: admin._id.toString(), username: admin.username },
+      jwtSecret,
+      { expiresIn: jwtExpiresIn }
+    );
+    const { exp } = jwt.decode(token);
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+    logger.info(`✅ Admin logged in: ${admin.username}`);
+
+    res.json({
+      message: '✅ Login successful',
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      admin: { username: admin.username }
+    });
+  } catch (error) {
+    logger.error('❌ Error during login', error);
+    res.status(500).json({
+      message: '❌ Error during login',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+};
+
+// Return the currently authenticated admin (used to validate a stored session)
+exports.me = async (req, res) => {
+  res.json({ admin: { username: req.admin.username } });
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const backup = require('../services/backup');
+const audit = require('../services/audit');
+const logger = require('../services/logger');
+
+// Restores write a lot of documents - run one at a time
+let restoring = false;
+
+/**
+ * GET /api/backup
+ * Streams a .tar.gz with every event, template, settings and strip document
+ * and the images they reference (see services/backup.js).
+ */
+exports.downloadBackup = async (req, res) => {
+  const fileName = backup.fileName();
+  const controller = new AbortController();
+  req.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const counts = await backup.writeBackup(res, { signal: controller.signal });
+    if (!counts) {
+      logger.warn('⚠️ Backup download stopped before it finished');
+      return;
+    }
+
+    logger.info(`💾 Backup ${fileName}: ${counts.strips} strips, ${counts.media} images${counts.mediaFailed ? `, ${counts.mediaFailed} images missing` : ''}`);
+    await audit.record(req, {
+      action: 'backup.export',
+      summary: `Downloaded a backup with ${counts.strips} strips and ${counts.events} events`,
+      after: counts
+    });
+  } catch (error) {
+    logger.error("❌ Error writing backup", error);
+    if (res.headersSent) {
+      // Mid-stream failure: cut the download so the client sees an incomplete file
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      message: "❌ Error writing backup",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Backup failed"
+    });
+  }
+};
+
+/**
+ * POST /api/backup/restore
+ * Multipart `archive` (a backup .tar.gz) and optional `replaceSettings=true`.
+ * Imports everything that is not already here, with new IDs.
+ */
+exports.restoreBackup = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "❌ No backup file provided" });
+  }
+  if (restoring) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(409).json({ message: "❌ A restore is already running. Please wait for it to finish." });
+  }
+
+  restoring = true;
+  try {
+    const replaceSettings = req.body.replaceSettings === 'true';
+    const report = await backup.restoreBackup(fs.createReadStream(req.file.path), { replaceSettings });
+
+    logger.info(`💾 Restored backup ${req.file.originalname}: ${report.strips.imported} strips imported, ${report.strips.skipped} skipped`);
+    await audit.record(req, {
+      action: 'backup.restore',
+      summary: `Restored ${report.strips.imported} strips and ${report.events.imported} events from ${req.file.originalname}`,
+      after: report
+    });
+
+    res.json({ message: "✅ Backup restored", report });
+  } catch (error) {
+    if (error.isBackupError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: "❌ The backup contains invalid data", error: error.message });
+    }
+    logger.error("❌ Error restoring backup", error);
+    res.status(500).json({
+      message: "❌ Error restoring backup",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Restore failed"
+    });
+  } finally {
+    restoring = false;
+    fs.unlink(req.file.path, () => {});
+  }
+};
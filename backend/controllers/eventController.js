@@ -0,0 +1,163 @@
+const Event = require('../models/Event');
+const Settings = require('../models/Settings');
+const Strip = require('../models/Strip');
+const audit = require('../services/audit');
+const logger = require('../services/logger');
+
+// Event fields compared for the audit log
+const EVENT_FIELDS = ['name', 'slug', 'startsAt', 'endsAt', 'archived'];
+
+const pickEventFields = ({ name, slug, startsAt, endsAt, archived }) => {
+  const fields = { name, slug, startsAt, endsAt, archived };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+const handleEventError = (res, error, action) => {
+  logger.error(`❌ Error ${action}`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: '❌ Validation error', error: error.message });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({ message: '❌ An event with this slug already exists' });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: '❌ Invalid event ID' });
+  }
+
+  res.status(500).json({
+    message: `❌ Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+  });
+};
+
+// List events with their strip counts
+exports.getEvents = async (req, res) => {
+  try {
+    const filter = req.query.includeArchived === 'true' ? {} : { archived: false };
+    const events = await Event.find(filter).sort({ startsAt: -1, createdAt: -1 });
+
+    const counts = await Strip.aggregate([
+      { $match: { event: { $in: events.map((e) => e._id) }, deletedAt: null } },
+      { $group: { _id: '$event', strips: { $sum: 1 }, printed: { $sum: { $cond: ['$printed', 1, 0] } } } }
+    ]);
+    const countsById = new Map(counts.map((c) => [c._id.toString(), c]));
+
+    res.json(events.map((event) => ({
+      ...event.toJSON(),
+      stripCount: countsById.get(event._id.toString())?.strips || 0,
+      printedCount: countsById.get(event._id.toString())?.printed || 0
+    })));
+  } catch (error) {
+    handleEventError(res, error, 'fetching events');
+  }
+};
+
+exports.getEvent = async (req, res) => {
+  try {
+    const event = await Event.findByIdOrSlug(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: '❌ Event not found' });
+    }
+    res.json(event);
+  } catch (error) {
+    handleEventError(res, error, 'fetching event');
+  }
+};
+
+exports.createEvent = async (req, res) => {
+  try {
+    const event = new Event(pickEventFields(req.body));
+    await event.save();
+
+    // Start the event with its own settings document
+    await Settings.create({
+      _id: Settings.keyFor(event),
+      event: event._id,
+      eventName: event.name
+    });
+
+    logger.info(`✅ Created event "${event.name}" (${event.slug})`);
+    await audit.record(req, {
+      action: 'event.create',
+      event,
+      target: { type: 'event', id: String(event._id) },
+      summary: `Created event "${event.name}"`,
+      after: audit.diff({}, event.toObject(), EVENT_FIELDS).after
+    });
+    res.status(201).json({ message: '✅ Event created successfully', event });
+  } catch (error) {
+    handleEventError(res, error, 'creating event');
+  }
+};
+
+exports.updateEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: '❌ Event not found' });
+    }
+
+    const nameChanged = req.body.name !== undefined && req.body.name !== event.name;
+    const previous = event.toObject();
+    event.set(pickEventFields(req.body));
+    await event.save();
+
+    // Keep denormalized event names in sync
+    if (nameChanged) {
+      await Settings.updateOne({ _id: Settings.keyFor(event) }, { eventName: event.name });
+      await Strip.updateMany({ event: event._id }, { eventName: event.name });
+    }
+
+    logger.info(`✅ Updated event "${event.name}" (${event.slug})`);
+    const changes = audit.diff(previous, event.toObject(), EVENT_FIELDS);
+    if (Object.keys(changes.after).length > 0) {
+      await audit.record(req, {
+        action: 'event.update',
+        event,
+        target: { type: 'event', id: String(event._id) },
+        summary: `Changed ${Object.keys(changes.after).join(', ')} of event "${event.name}"`,
+        ...changes
+      });
+    }
+    res.json({ message: '✅ Event updated successfully', event });
+  } catch (error) {
+    handleEventError(res, error, 'updating event');
+  }
+};
+
+exports.deleteEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: '❌ Event not found' });
+    }
+
+    // Refuse to orphan strips - they have to be deleted (and purged from the trash) first
+    const stripCount = await Strip.countDocuments({ event: event._id });
+    if (stripCount > 0) {
+      return res.status(409).json({
+        message: `❌ Event still has ${stripCount} strips, including any in the trash. Delete them and empty the trash before deleting the event.`,
+        stripCount
+      });
+    }
+
+    // The event's template stays in the library for other events
+    await Settings.deleteOne({ _id: Settings.keyFor(event) });
+    await event.deleteOne();
+
+    logger.info(`✅ Deleted event "${event.name}" (${event.slug})`);
+    await audit.record(req, {
+      action: 'event.delete',
+      target: { type: 'event', id: String(event._id) },
+      summary: `Deleted event "${event.name}"`,
+      before: audit.diff(event.toObject(), {}, EVENT_FIELDS).before
+    });
+    res.json({ message: `✅ Deleted event "${event.name}"` });
+  } catch (error) {
+    handleEventError(res, error, 'deleting event');
+  }
+};
@@ -0,0 +1,8 @@
+const live = require('../services/liveUpdates');
+const logger = require('../services/logger');
+
+// Stream live updates for ?event= (or the default booth / all events for admins)
+exports.streamUpdates = (req, res) => {
+  live.subscribe(req, res, { event: req.event, isAdmin: !!req.admin });
+  logger.info(`📡 Live updates client connected (${req.admin ? `admin ${req.admin.username}` : 'booth'}, ${live.clientCount()} connected)`);
+};
@@ -0,0 +1,225 @@
+const PrintJob = require('../models/PrintJob');
+const Strip = require('../models/Strip');
+const live = require('../services/liveUpdates');
+const audit = require('../services/audit');
+const logger = require('../services/logger');
+
+const STRIP_FIELDS = 'imageUrl thumbnailUrl timestamp eventName printed';
+
+const handlePrintJobError = (res, error, action) => {
+  logger.error(`❌ Error ${action}`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: '❌ Validation error', error: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: '❌ Invalid ID' });
+  }
+
+  // The unique index on open jobs: another request queued the strip first
+  if (error.code === 11000) {
+    return res.status(409).json({ message: '❌ Strip is already in the print queue' });
+  }
+
+  res.status(500).json({
+    message: `❌ Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+  });
+};
+
+// Queue a strip for printing
+exports.createPrintJob = async (req, res) => {
+  try {
+    const { stripId, copies } = req.body;
+
+    const strip = await Strip.findOne({ _id: stripId, deletedAt: null });
+    if (!strip) {
+      return res.status(404).json({ message: '❌ Strip not found' });
+    }
+
+    // One open job per strip; the unique index catches requests that race past this check
+    const openJob = await PrintJob.findOne({ strip: strip._id, status: { $in: PrintJob.OPEN_STATUSES } });
+    if (openJob) {
+      return res.status(409).json({
+        message: `❌ Strip is already in the print queue (${openJob.status}${openJob.claimedBy ? ` by ${openJob.claimedBy}` : ''})`,
+        job: openJob
+      });
+    }
+
+    const job = await PrintJob.create({
+      strip: strip._id,
+      event: strip.event,
+      copies: copies || 1,
+      requestedBy: req.admin.username
+    });
+    await job.populate('strip', STRIP_FIELDS);
+
+    logger.info(`🖨️ Queued print job ${job._id} for strip ${strip._id} (${job.copies} copies)`);
+    res.status(201).json({ message: '✅ Strip added to the print queue', job });
+  } catch (error) {
+    handlePrintJobError(res, error, 'queueing print job');
+  }
+};
+
+// List print jobs, optionally filtered by ?status=queued,failed and ?event=
+exports.getPrintJobs = async (req, res) => {
+  try {
+    const scope = req.event ? { event: req.event._id } : {};
+    const filter = { ...scope };
+
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').filter(Boolean);
+      const invalid = statuses.filter((s) => !PrintJob.STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `❌ Invalid status: ${invalid.join(', ')}` });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const [jobs, statusCounts] = await Promise.all([
+      PrintJob.find(filter).sort({ createdAt: -1 }).limit(limit).populate('strip', STRIP_FIELDS),
+      PrintJob.aggregate([
+        { $match: scope },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = Object.fromEntries(PrintJob.STATUSES.map((status) => [status, 0]));
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({ jobs, counts });
+  } catch (error) {
+    handlePrintJobError(res, error, 'fetching print jobs');
+  }
+};
+
+// Atomically claim the oldest queued job for a print station
+exports.claimNextJob = async (req, res) => {
+  try {
+    const station = String(req.body.station || req.admin.username).trim().slice(0, 50);
+    const filter = { status: 'queued' };
+    if (req.event) {
+      filter.event = req.event._id;
+    }
+
+    const job = await PrintJob.findOneAndUpdate(
+      filter,
+      {
+        $set: { status: 'claimed', claimedBy: station, claimedAt: new Date() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    ).populate('strip', STRIP_FIELDS);
+
+    if (!job) {
+      return res.json({ message: 'ℹ️ No queued print jobs', job: null });
+    }
+
+    logger.info(`🖨️ Print job ${job._id} claimed by ${station}`);
+    res.json({ message: `✅ Claimed print job for ${station}`, job });
+  } catch (error) {
+    handlePrintJobError(res, error, 'claiming print job');
+  }
+};
+
+// Move a job to printing / printed / failed, or release it back to the queue
+exports.updateJobStatus = async (req, res) => {
+  try {
+    const { status, station, error: printError } = req.body;
+
+    const job = await PrintJob.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: '❌ Print job not found' });
+    }
+
+    if (!PrintJob.canTransition(job.status, status)) {
+      return res.status(409).json({ message: `❌ Cannot change a ${job.status} job to ${status}` });
+    }
+
+    // Only the station holding the claim may progress the job
+    if (status !== 'queued' && station && job.claimedBy && station !== job.claimedBy) {
+      return res.status(409).json({ message: `❌ Job is claimed by ${job.claimedBy}` });
+    }
+
+    const now = new Date();
+    const update = { status };
+    if (status === 'printing') update.startedAt = now;
+    if (status === 'printed') update.completedAt = now;
+    if (status === 'failed') {
+      update.failedAt = now;
+      update.lastError = printError ? String(printError).slice(0, 500) : 'Print failed';
+    }
+    if (status === 'queued') {
+      update.claimedBy = null;
+      update.claimedAt = null;
+    }
+
+    // Guard on the current status so concurrent updates cannot both win
+    const updatedJob = await PrintJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: update },
+      { new: true }
+    ).populate('strip', STRIP_FIELDS);
+
+    if (!updatedJob) {
+      return res.status(409).json({ message: '❌ Print job was changed by someone else, please refresh' });
+    }
+
+    if (status === 'printed') {
+      const strip = await Strip.findByIdAndUpdate(job.strip, { printed: true, printedAt: now }, { new: true });
+      if (strip) {
+        live.publishStripEvent('strip-printed', { strip }, strip.event);
+        await audit.record(req, {
+          action: 'strip.mark-printed',
+          event: strip.event,
+          target: { type: 'strip', id: String(strip._id) },
+          summary: `Printed ${updatedJob.copies} ${updatedJob.copies === 1 ? 'copy' : 'copies'} from the print queue${updatedJob.claimedBy ? ` at ${updatedJob.claimedBy}` : ''}`,
+          after: { printed: true, printedAt: now }
+        });
+      }
+    }
+
+    logger.info(`🖨️ Print job ${job._id}: ${job.status} -> ${status}`);
+    res.json({ message: `✅ Print job ${status}`, job: updatedJob });
+  } catch (error) {
+    handlePrintJobError(res, error, 'updating print job');
+  }
+};
+
+// Put a failed job back in the queue
+exports.retryJob = async (req, res) => {
+  try {
+    const job = await PrintJob.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed' },
+      { $set: { status: 'queued', claimedBy: null, claimedAt: null } },
+      { new: true }
+    ).populate('strip', STRIP_FIELDS);
+
+    if (!job) {
+      return res.status(409).json({ message: '❌ Only failed print jobs can be retried' });
+    }
+
+    logger.info(`🔄 Print job ${job._id} re-queued`);
+    res.json({ message: '✅ Print job re-queued', job });
+  } catch (error) {
+    handlePrintJobError(res, error, 'retrying print job');
+  }
+};
+
+// Cancel a job that is not being printed
+exports.deleteJob = async (req, res) => {
+  try {
+    const job = await PrintJob.findOneAndDelete({ _id: req.params.id, status: { $in: ['queued', 'failed'] } });
+    if (!job) {
+      return res.status(409).json({ message: '❌ Only queued or failed print jobs can be cancelled' });
+    }
+
+    logger.info(`🗑️ Print job ${job._id} cancelled`);
+    res.json({ message: '✅ Print job cancelled' });
+  } catch (error) {
+    handlePrintJobError(res, error, 'cancelling print job');
+  }
+};
@@ -1,18 +1,30 @@
 const Settings = require('../models/Settings');
-const cloudinary = require('../config/cloudinary');
+const Template = require('../models/Template');
+const storage = require('../storage');
+const live = require('../services/liveUpdates');
+const mailer = require('../services/mailer');
+const audit = require('../services/audit');
+const retention = require('../services/retention');
+const logger = require('../services/logger');
 
-// Get current settings
+// Settings fields compared for the audit log
+const AUDITED_FIELDS = ['eventName', 'textStyle', 'layout', 'shareQrSeconds', 'emailTemplate', 'templateUrl', 'activeTemplate', 'retention'];
+
+// Get current settings (for req.event, or the default booth)
 exports.getSettings = async (req, res) => {
   try {
-    let settings = await Settings.findById('photobooth-settings');
+    const settingsId = Settings.keyFor(req.event);
+    let settings = await Settings.findById(settingsId);
 
     // ✅ DEBUG: Log what we found in database
-    console.log('🔍 DEBUG: Settings from database:', JSON.stringify(settings, null, 2));
+    logger.debug('🔍 Settings from database', { settingsId, settings });
 
     // If no settings exist, create default settings
     if (!settings) {
       settings = new Settings({
-        eventName: '',
+        _id: settingsId,
+        event: req.event ? req.event._id : null,
+        eventName: req.event ? req.event.name : '',
         templateUrl: null,
         textStyle: {
           fontSize: 60,
@@ -25,15 +37,17 @@ exports.getSettings = async (req, res) => {
         }
       });
       await settings.save();
-      console.log('✅ Created default settings with text styling');
+      logger.info('✅ Created default settings with text styling');
     }
 
     // ✅ DEBUG: Log what we're sending back
-    console.log('📤 DEBUG: Sending settings to frontend:', JSON.stringify(settings, null, 2));
+    logger.debug('📤 Sending settings to frontend', { settings });
+
+    await settings.populate('event', 'name slug startsAt endsAt');
 
-    res.json(settings);
+    res.json({ ...settings.toJSON(), emailEnabled: mailer.enabled });
   } catch (error) {
-    console.error('❌ Error fetching settings:', error);
+    logger.error('❌ Error fetching settings', error);
     res.status(500).json({
       message: '❌ Error fetching settings',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
@@ -44,70 +58,120 @@ exports.getSettings = async (req, res) => {
 // Update settings
 exports.updateSettings = async (req, res) => {
   try {
-    const { eventName, template, textStyle } = req.body;
+    const { eventName, template, textStyle, layout, shareQrSeconds, emailTemplate, retention: retentionPolicy } = req.body;
 
     // ✅ DEBUG: Log what we received
-    console.log('📥 DEBUG: Update request received:', JSON.stringify({ eventName, template: template ? 'template data present' : 'no template', textStyle }, null, 2));
+    logger.debug('📥 Settings update received', { eventName, template: template ? 'template data present' : 'no template', textStyle });
 
-    let settings = await Settings.findById('photobooth-settings');
+    const settingsId = Settings.keyFor(req.event);
+    let settings = await Settings.findById(settingsId);
     if (!settings) {
-      settings = new Settings();
+      settings = new Settings({
+        _id: settingsId,
+        event: req.event ? req.event._id : null,
+        eventName: req.event ? req.event.name : ''
+      });
     }
 
     // ✅ DEBUG: Log current settings before update
-    console.log('🔍 DEBUG: Current settings before update:', JSON.stringify(settings, null, 2));
+    logger.debug('🔍 Current settings before update', { settings });
+    const previous = settings.toObject();
 
     // Update event name
     if (eventName !== undefined) {
-      console.log(`🏷️ DEBUG: Updating eventName from "${settings.eventName}" to "${eventName}"`);
+      logger.debug(`🏷️ Updating eventName from "${settings.eventName}" to "${eventName}"`);
       settings.eventName = eventName;
     }
 
     // Update text styling
     if (textStyle !== undefined) {
-      console.log('🎨 Updating text style:', textStyle);
+      logger.debug('🎨 Updating text style', { textStyle });
       settings.textStyle = {
         ...settings.textStyle,
         ...textStyle
       };
-      console.log('✅ Text style updated to:', settings.textStyle);
+      logger.debug('✅ Text style updated', { textStyle: settings.textStyle });
     }
 
-    // Handle template upload to Cloudinary
-    if (template && template.startsWith('data:image/')) {
-      // Delete old template from Cloudinary if exists
-      if (settings.templatePublicId) {
-        try {
-          await cloudinary.uploader.destroy(settings.templatePublicId);
-          console.log(`✅ Deleted old template from Cloudinary: ${settings.templatePublicId}`);
-        } catch (error) {
-          console.warn(`⚠️ Failed to delete old template: ${error.message}`);
-        }
-      }
+    if (shareQrSeconds !== undefined) {
+      settings.shareQrSeconds = shareQrSeconds;
+    }
 
-      // Upload new template to Cloudinary
-      const templateUploadResult = await cloudinary.uploader.upload(template, {
-        folder: 'strip-photobooth/templates',
-        public_id: `template_${Date.now()}`,
-        resource_type: 'image'
-      });
+    // Email subject/body for guests (null resets to the default)
+    if (emailTemplate !== undefined) {
+      settings.emailTemplate = emailTemplate
+        ? { ...Settings.DEFAULT_EMAIL_TEMPLATE, ...emailTemplate }
+        : Settings.DEFAULT_EMAIL_TEMPLATE;
+    }
 
-      settings.templateUrl = templateUploadResult.secure_url;
-      settings.templatePublicId = templateUploadResult.public_id;
-      console.log(`✅ Template uploaded to Cloudinary: ${templateUploadResult.secure_url}`);
+    // Automatic cleanup of old strips (only the fields that were sent change)
+    if (retentionPolicy !== undefined) {
+      settings.retention = { ...settings.toObject().retention, ...retentionPolicy };
     }
 
+    // Replace the photo box layout (null resets it to the default)
+    if (layout !== undefined) {
+      logger.info(`📐 Updating layout: ${layout ? `${layout.slots?.length || 0} photo slots` : 'reset to default'}`);
+      const { DEFAULT_LAYOUT } = Settings;
+      settings.layout = layout
+        ? { ...DEFAULT_LAYOUT, ...layout, border: { ...DEFAULT_LAYOUT.border, ...layout.border } }
+        : DEFAULT_LAYOUT;
+    }
 
+    // Handle template upload: add it to the library and make it active
+    if (template && template.startsWith('data:image/')) {
+      const templateUploadResult = await storage.put(template, {
+        folder: 'strip-photobooth/templates',
+        name: `template_${Date.now()}`
+      });
+
+      const libraryTemplate = await Template.create({
+        name: `Template ${new Date().toLocaleDateString()}`,
+        url: templateUploadResult.url,
+        storageId: templateUploadResult.id,
+        bytes: templateUploadResult.bytes,
+        uploadedBy: req.admin.username
+      });
+      settings.useTemplate(libraryTemplate);
+      logger.info(`✅ Template uploaded to ${storage.name} storage: ${templateUploadResult.url}`);
+      await audit.record(req, {
+        action: 'template.upload',
+        target: { type: 'template', id: String(libraryTemplate._id) },
+        summary: `Uploaded template "${libraryTemplate.name}"`,
+        after: { name: libraryTemplate.name, url: libraryTemplate.url }
+      });
+    }
 
     await settings.save();
-    console.log('✅ Settings updated successfully');
+    logger.info('✅ Settings updated successfully');
+    live.publishSettingsUpdated(req.event);
+
+    const changes = audit.diff(previous, settings.toObject(), AUDITED_FIELDS);
+    const changedFields = Object.keys(changes.after);
+    if (changedFields.length > 0) {
+      await audit.record(req, {
+        action: 'settings.update',
+        event: req.event,
+        target: { type: 'settings', id: settings._id },
+        summary: `Changed ${changedFields.join(', ')}${req.event ? ` for "${req.event.name}"` : ''}`,
+        ...changes
+      });
+    }
 
     res.json({
       message: '✅ Settings updated successfully',
       settings
     });
   } catch (error) {
-    console.error('❌ Error updating settings:', error);
+    logger.error('❌ Error updating settings', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: '❌ Invalid settings',
+        error: Object.values(error.errors).map((e) => e.message).join(', ')
+      });
+    }
+
     res.status(500).json({
       message: '❌ Error updating settings',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
@@ -115,37 +179,75 @@ exports.updateSettings = async (req, res) => {
   }
 };
 
-// Delete template
+/**
+ * GET /api/settings/retention/preview
+ * Dry run of the retention policy: which strips the next sweep would move to the trash.
+ * Query: mode, days, keepStarred to try a policy before saving it (defaults to the saved one).
+ */
+exports.previewRetention = async (req, res) => {
+  try {
+    const settingsId = Settings.keyFor(req.event);
+    const saved = await Settings.findById(settingsId).select('retention');
+    const overrides = {};
+    ['mode', 'days', 'keepStarred'].forEach((field) => {
+      if (req.query[field] !== undefined) overrides[field] = req.query[field];
+    });
+
+    // Validate with the same rules as a save, without storing anything
+    const draft = new Settings({
+      _id: settingsId,
+      event: req.event ? req.event._id : null,
+      retention: { ...(saved ? saved.toObject().retention : {}), ...overrides }
+    });
+    const invalid = draft.validateSync(['retention.mode', 'retention.days', 'retention.keepStarred']);
+    if (invalid) {
+      return res.status(400).json({
+        message: '❌ Invalid retention policy',
+        error: Object.values(invalid.errors).map((e) => e.message).join(', ')
+      });
+    }
+
+    const policy = draft.toObject().retention;
+    const preview = await retention.preview(policy, req.event);
+    res.json({ policy, ...preview });
+  } catch (error) {
+    logger.error('❌ Error previewing retention policy', error);
+    res.status(500).json({
+      message: '❌ Error previewing retention policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+};
+
+// Stop using a template (the file stays in the template library)
 exports.deleteTemplate = async (req, res) => {
   try {
-    const settings = await Settings.findById('photobooth-settings');
+    const settings = await Settings.findById(Settings.keyFor(req.event));
     if (!settings) {
       return res.status(404).json({ message: '❌ Settings not found' });
     }
 
-    // Delete template from Cloudinary
-    if (settings.templatePublicId) {
-      try {
-        await cloudinary.uploader.destroy(settings.templatePublicId);
-        console.log(`✅ Deleted template from Cloudinary: ${settings.templatePublicId}`);
-      } catch (error) {
-        console.warn(`⚠️ Failed to delete template from Cloudinary: ${error.message}`);
-      }
-    }
-
-    // Clear template from settings
-    settings.templateUrl = null;
-    settings.templatePublicId = null;
+    const before = { templateUrl: settings.templateUrl, activeTemplate: settings.activeTemplate };
+    settings.useTemplate(null);
     await settings.save();
+    live.publishSettingsUpdated(req.event);
+    await audit.record(req, {
+      action: 'settings.template-remove',
+      event: req.event,
+      target: { type: 'settings', id: settings._id },
+      summary: `Removed the template${req.event ? ` from "${req.event.name}"` : ' from the default booth'}`,
+      before,
+      after: { templateUrl: null, activeTemplate: null }
+    });
 
     res.json({
-      message: '✅ Template deleted successfully',
+      message: '✅ Template removed from the booth',
       settings
     });
   } catch (error) {
-    console.error('❌ Error deleting template:', error);
+    logger.error('❌ Error removing template', error);
     res.status(500).json({
-      message: '❌ Error deleting template',
+      message: '❌ Error removing template',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
     });
   }
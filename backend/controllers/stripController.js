@@ -1,61 +1,168 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
 const Strip = require('../models/Strip');
-const cloudinary = require('../config/cloudinary');
+const PrintJob = require('../models/PrintJob');
+const Settings = require('../models/Settings');
+const storage = require('../storage');
+const live = require('../services/liveUpdates');
+const mailer = require('../services/mailer');
+const trash = require('../services/trash');
+const audit = require('../services/audit');
+const uploadKeys = require('../services/uploadKeys');
+const { normalizeStrip, createPreviews, readImage } = require('../services/stripImage');
+const { purgeAfterDays } = require('../config/trash');
+const { maxStripBytes } = require('../config/uploads');
+const logger = require('../services/logger');
+const { parseDate } = require('../utils/dates');
+
+// Body of a successful upload (also returned again for a repeated Idempotency-Key)
+const uploadResponse = (strip) => ({
+  message: "✅ Upload successful",
+  imageUrl: strip.imageUrl,
+  stripId: strip._id,
+  shareId: strip.shareId,
+});
 
 exports.uploadStrip = async (req, res) => {
+  // Objects stored for this request, removed again if the strip is never saved
+  const storedIds = [];
+  // Optional key from the booth so retries of this upload can't create a second strip
+  const uploadKey = req.get('Idempotency-Key');
+  let claimedKey = null;
   try {
-    const { image, template } = req.body;
+    if (uploadKey !== undefined && !uploadKeys.isValidKey(uploadKey)) {
+      return res.status(400).json({ message: "❌ Invalid Idempotency-Key header" });
+    }
 
-    // ✅ Enhanced Validation with size checks
-    if (!image) {
-      return res.status(400).json({ message: "❌ Image data is missing" });
+    const { template } = req.body;
+    let imageBuffer;
+    let contentType;
+
+    if (req.file) {
+      // Binary upload (multipart or raw image body, see middleware/stripUpload.js)
+      imageBuffer = req.file.buffer;
+      contentType = req.file.mimetype;
+    } else {
+      // Legacy JSON upload with a base64 data URL
+      const { image } = req.body;
+
+      // ✅ Enhanced Validation with size checks
+      if (!image) {
+        return res.status(400).json({ message: "❌ Image data is missing" });
+      }
+
+      if (typeof image !== 'string' || !image.startsWith('data:image/')) {
+        return res.status(400).json({ message: "❌ Invalid image format" });
+      }
+
+      // Decode once and upload the bytes
+      contentType = image.slice('data:'.length, image.indexOf(';'));
+      imageBuffer = Buffer.from(image.split(',')[1] || '', 'base64');
     }
 
-    if (!image.startsWith('data:image/')) {
-      return res.status(400).json({ message: "❌ Invalid image format" });
+    if (!imageBuffer || imageBuffer.length === 0) {
+      return res.status(400).json({ message: "❌ Image data is missing" });
     }
 
-    // Check image size (max 10MB)
-    const base64Str = image.split(',')[1];
-    const sizeInBytes = Buffer.from(base64Str, 'base64').length;
-    if (sizeInBytes > 10 * 1024 * 1024) {
-      return res.status(413).json({ 
-        message: "❌ Image too large. Maximum size is 10MB",
-        size: sizeInBytes
+    // Check image size (multipart/raw bodies are already limited by the parser)
+    if (imageBuffer.length > maxStripBytes) {
+      return res.status(413).json({
+        message: `❌ Image too large. Maximum size is ${Math.round(maxStripBytes / 1024 / 1024)}MB`,
+        size: imageBuffer.length
       });
     }
 
-    // ✅ Upload main image to Cloudinary with mobile optimizations
-    const uploadResult = await cloudinary.uploader.upload(image, {
-      folder: 'strip-photobooth',
-      public_id: `strip_${Date.now()}`,
-      resource_type: 'image',
-      timeout: 60000, // 60 second timeout
-      quality: 'auto:good', // Automatic quality optimization
-      fetch_format: 'auto', // Auto-select best format
-      flags: 'progressive', // Progressive loading for better mobile experience
-    });
+    if (uploadKey) {
+      const claim = await uploadKeys.claim(uploadKey);
+      if (claim.strip) {
+        logger.info(`♻️ Repeated upload ${uploadKey}, returning strip ${claim.strip._id}`);
+        return res.json({ ...uploadResponse(claim.strip), duplicate: true });
+      }
+      if (claim.inProgress) {
+        res.set('Retry-After', '2');
+        return res.status(409).json({ message: "⏳ This strip is still being uploaded", code: 'UPLOAD_IN_PROGRESS' });
+      }
+      claimedKey = uploadKey;
+    }
 
-    console.log(`✅ Strip uploaded to Cloudinary: ${uploadResult.secure_url}`);
+    // Verify the bytes and re-encode them at the booth's print size, without metadata
+    const settings = await Settings.findById(Settings.keyFor(req.event)).select('layout');
+    const strip = await normalizeStrip(imageBuffer, settings?.layout || Settings.DEFAULT_LAYOUT);
+    logger.debug(`🔍 Verified ${contentType || 'image'} upload (${imageBuffer.length} bytes) -> ${strip.width}x${strip.height} JPEG (${strip.buffer.length} bytes)`);
 
+    // ✅ Upload main image to storage with mobile optimizations
+    const stamp = Date.now();
+    const uploadResult = await storage.put(strip.buffer, {
+      folder: 'strip-photobooth',
+      name: `strip_${stamp}`,
+      contentType: strip.contentType,
+      uploadOptions: {
+        timeout: 60000, // 60 second timeout
+        flags: 'progressive', // Progressive loading for better mobile experience
+      }
+    });
 
+    storedIds.push(uploadResult.id);
+    logger.info(`✅ Strip uploaded to ${storage.name} storage: ${uploadResult.url}`);
+
+    // Grid previews; the dashboard falls back to the full image without them
+    const previews = {};
+    try {
+      for (const [size, buffer] of Object.entries(await createPreviews(strip.buffer))) {
+        const stored = await storage.put(buffer, {
+          folder: 'strip-photobooth/previews',
+          name: `strip_${stamp}_${size}`,
+          contentType: 'image/jpeg'
+        });
+        storedIds.push(stored.id);
+        previews[size] = stored;
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Failed to store strip previews: ${error.message}`);
+    }
 
     // ✅ Save to MongoDB
     const newStrip = new Strip({
-      imageUrl: uploadResult.secure_url,
-      template: template
+      imageUrl: uploadResult.url,
+      storageId: uploadResult.id,
+      thumbnailUrl: previews.thumbnail?.url || null,
+      thumbnailStorageId: previews.thumbnail?.id || null,
+      mediumUrl: previews.medium?.url || null,
+      mediumStorageId: previews.medium?.id || null,
+      template: template,
+      event: req.event ? req.event._id : null,
+      eventName: req.event ? req.event.name : undefined
     });
 
     await newStrip.save();
-    console.log(`✅ Strip saved to database with ID: ${newStrip._id}`);
+    storedIds.length = 0; // The images belong to the strip now
+    if (claimedKey) {
+      await uploadKeys.complete(claimedKey, newStrip);
+      claimedKey = null;
+    }
+    logger.info(`✅ Strip saved to database with ID: ${newStrip._id}`);
+    live.publishStripEvent('strip-created', { strip: newStrip }, newStrip.event);
 
-    res.status(201).json({
-      message: "✅ Upload successful",
-      imageUrl: uploadResult.secure_url,
-      stripId: newStrip._id,
-    });
+    res.status(201).json(uploadResponse(newStrip));
 
   } catch (error) {
-    console.error("❌ Upload Error:", error);
+    if (claimedKey) {
+      await uploadKeys.release(claimedKey).catch((releaseError) => logger.warn(`⚠️ Failed to release upload key ${claimedKey}: ${releaseError.message}`));
+    }
+
+    // Verification failures are the client's problem - explain what was wrong
+    if (error.isImageRejection) {
+      logger.warn(`⚠️ Rejected strip upload (${error.code}): ${error.message}`);
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
+    logger.error("❌ Upload Error", error);
+
+    // Don't leave images behind that no strip points to
+    for (const id of storedIds) {
+      await storage.delete(id).catch((cleanupError) => logger.warn(`⚠️ Failed to remove ${id} after a failed upload: ${cleanupError.message}`));
+    }
 
     // Handle specific error types
     if (error.name === 'ValidationError') {
@@ -65,8 +172,7 @@ exports.uploadStrip = async (req, res) => {
       });
     }
 
-    if (error.http_code) {
-      // Cloudinary error
+    if (error.isStorageError) {
       return res.status(500).json({
         message: "❌ Image upload failed",
         error: "Failed to upload image to cloud storage"
@@ -81,47 +187,384 @@ exports.uploadStrip = async (req, res) => {
   }
 };
 
-exports.getStrips = async (_req, res) => {
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 24;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Opaque cursor: the sort key of the last strip on the previous page
+const encodeCursor = (strip) => Buffer.from(JSON.stringify({
+  t: strip.timestamp.toISOString(),
+  id: strip._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const timestamp = new Date(t);
+    if (Number.isNaN(timestamp.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { timestamp, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query parameters of the strip list and export that take a single value
+const FILTER_PARAMS = ['q', 'printed', 'from', 'to', 'sort'];
+
+// Build the Mongo filter shared by the page query and the counts
+// Returns { filter } or { error } for invalid query parameters
+const buildStripFilter = (req) => {
+  // A repeated parameter (?q=a&q=b) arrives as an array
+  const invalid = FILTER_PARAMS.find((name) => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (invalid) {
+    return { error: `❌ '${invalid}' must be given once` };
+  }
+
+  const { printed, from, to, q } = req.query;
+  const filter = { deletedAt: null }; // Trashed strips only show up in the trash
+
+  // Scope to one event when ?event= is given, otherwise list all strips
+  if (req.event) {
+    filter.event = req.event._id;
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return { error: "❌ Invalid date in 'from' or 'to'" };
+  }
+  if (fromDate || toDate) {
+    filter.timestamp = {};
+    if (fromDate) filter.timestamp.$gte = fromDate;
+    if (toDate) filter.timestamp.$lte = toDate;
+  }
+
+  if (q && q.trim()) {
+    const term = q.trim();
+    filter.$or = [{ eventName: { $regex: escapeRegExp(term), $options: 'i' } }];
+    if (mongoose.Types.ObjectId.isValid(term) && term.length === 24) {
+      filter.$or.push({ _id: new mongoose.Types.ObjectId(term) });
+    }
+  }
+
+  if (printed !== undefined && printed !== '') {
+    if (printed !== 'true' && printed !== 'false') {
+      return { error: "❌ 'printed' must be true or false" };
+    }
+    return { filter, printed: printed === 'true' };
+  }
+
+  return { filter };
+};
+
+// Public data for the guest share page - only what the guest needs to see the strip
+exports.getSharedStrip = async (req, res) => {
   try {
-    const strips = await Strip.find().sort({ timestamp: -1 });
-    res.json(strips);
+    const strip = await Strip.findOne({ shareId: req.params.shareId, deletedAt: null });
+    if (!strip) {
+      return res.status(404).json({ message: "❌ This photo strip is no longer available" });
+    }
+
+    res.json({
+      shareId: strip.shareId,
+      imageUrl: strip.imageUrl,
+      timestamp: strip.timestamp,
+      eventName: strip.eventName || null
+    });
   } catch (error) {
-    console.error("❌ Error fetching strips:", error);
+    logger.error("❌ Error fetching shared strip", error);
     res.status(500).json({
-      message: "❌ Error fetching strips",
-      error: process.env.NODE_ENV === 'development' ? error.message : "Database error"
+      message: "❌ Error fetching shared strip",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Server error"
     });
   }
 };
 
-exports.deleteStrip = async (req, res) => {
+const handleEmailError = (res, error) => {
+  logger.error("❌ Error queueing strip email", error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: "❌ Please enter a valid email address" });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: "❌ Invalid strip ID" });
+  }
+
+  res.status(500).json({
+    message: "❌ Error queueing email",
+    error: process.env.NODE_ENV === 'development' ? error.message : "Server error"
+  });
+};
+
+// Guest asks for their strip by email from the booth's success screen
+exports.emailSharedStrip = async (req, res) => {
   try {
-    const { id } = req.params;
+    if (!mailer.enabled) {
+      return res.status(503).json({ message: "❌ Email delivery is not available at this booth" });
+    }
+
+    const strip = await Strip.findOne({ shareId: req.params.shareId, deletedAt: null });
+    if (!strip) {
+      return res.status(404).json({ message: "❌ This photo strip is no longer available" });
+    }
+
+    // Repeated taps on the booth should not send the same email twice
+    const pending = ['queued', 'sending'].includes(strip.email?.status);
+    if (!pending || strip.email.address !== String(req.body.email || '').trim().toLowerCase()) {
+      await mailer.queueStripEmail(strip, req.body.email, mailer.shareUrlFor(strip, req));
+    }
+    res.status(202).json({ message: "✅ Your photo strip is on its way to your inbox" });
+  } catch (error) {
+    handleEmailError(res, error);
+  }
+};
+
+// Admin re-sends a strip's email, optionally to a corrected address
+exports.resendEmail = async (req, res) => {
+  try {
+    if (!mailer.enabled) {
+      return res.status(503).json({ message: "❌ Email delivery is not configured (SMTP_HOST)" });
+    }
 
-    // Find the strip to get Cloudinary URLs before deletion
-    const strip = await Strip.findById(id);
+    const strip = await Strip.findById(req.params.id);
     if (!strip) {
       return res.status(404).json({ message: "❌ Strip not found" });
     }
 
-    // Delete images from Cloudinary
-    if (strip.imageUrl) {
-      // Extract public_id from Cloudinary URL
-      const publicId = strip.imageUrl.split('/').pop().split('.')[0];
-      const fullPublicId = `strip-photobooth/${publicId}`;
-      await cloudinary.uploader.destroy(fullPublicId);
-      console.log(`✅ Deleted image from Cloudinary: ${fullPublicId}`);
+    const address = req.body.email || strip.email?.address;
+    if (!address) {
+      return res.status(400).json({ message: "❌ No email address for this strip" });
     }
 
+    await mailer.queueStripEmail(strip, address, mailer.shareUrlFor(strip, req));
+    res.json({ message: `✅ Email queued for ${strip.email.address}`, strip });
+  } catch (error) {
+    handleEmailError(res, error);
+  }
+};
 
+/**
+ * GET /api/strips
+ * Query: limit, cursor, sort=newest|oldest, printed=true|false, from, to (ISO dates), q, event
+ * Returns { strips, nextCursor, hasMore, total, counts: { all, printed, pending } }
+ */
+exports.getStrips = async (req, res) => {
+  try {
+    const { filter: scopeFilter, printed, error } = buildStripFilter(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Delete from database
-    await Strip.findByIdAndDelete(id);
-    console.log(`✅ Deleted strip from database with ID: ${id}`);
+    const sort = req.query.sort || 'newest';
+    if (!['newest', 'oldest'].includes(sort)) {
+      return res.status(400).json({ message: "❌ 'sort' must be newest or oldest" });
+    }
+    const direction = sort === 'oldest' ? 1 : -1;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const filter = printed === undefined ? { ...scopeFilter } : { ...scopeFilter, printed };
+
+    // Keyset pagination on (timestamp, _id) so pages stay stable while new strips arrive
+    const pageFilter = { ...filter };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ message: "❌ Invalid cursor" });
+      }
+      const op = direction === 1 ? '$gt' : '$lt';
+      pageFilter.$and = [{
+        $or: [
+          { timestamp: { [op]: cursor.timestamp } },
+          { timestamp: cursor.timestamp, _id: { [op]: cursor.id } }
+        ]
+      }];
+    }
+
+    const [strips, total, all, printedCount] = await Promise.all([
+      Strip.find(pageFilter).sort({ timestamp: direction, _id: direction }).limit(limit + 1),
+      Strip.countDocuments(filter),
+      Strip.countDocuments(scopeFilter),
+      Strip.countDocuments({ ...scopeFilter, printed: true })
+    ]);
 
-    res.json({ message: `✅ Deleted strip with id: ${id}` });
+    const hasMore = strips.length > limit;
+    const page = hasMore ? strips.slice(0, limit) : strips;
+
+    res.json({
+      strips: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore,
+      total,
+      counts: {
+        all,
+        printed: printedCount,
+        pending: all - printedCount
+      }
+    });
   } catch (error) {
-    console.error("❌ Error deleting strip:", error);
+    logger.error("❌ Error fetching strips", error);
+    res.status(500).json({
+      message: "❌ Error fetching strips",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Database error"
+    });
+  }
+};
+
+// Quote a CSV field; a leading formula character is neutralised for spreadsheet apps
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportFileName = (strip) => {
+  const stamp = strip.timestamp.toISOString().replace(/\.\d+Z$/, '').replace(/[:T]/g, '-');
+  const extension = path.extname(new URL(strip.imageUrl).pathname) || '.jpg';
+  return `strip_${stamp}_${strip._id}${extension}`;
+};
+
+/**
+ * GET /api/strips/export
+ * Query: the same filters as GET /api/strips (printed, from, to, q, event) and manifest=false
+ * to leave out manifest.csv. Streams a ZIP of the matching strips, oldest first.
+ */
+exports.exportStrips = async (req, res) => {
+  let archive;
+  try {
+    const { filter: scopeFilter, printed, error } = buildStripFilter(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const filter = printed === undefined ? scopeFilter : { ...scopeFilter, printed };
+    const includeManifest = req.query.manifest !== 'false';
+
+    const total = await Strip.countDocuments(filter);
+    if (total === 0) {
+      return res.status(404).json({ message: "❌ No strips match these filters" });
+    }
+
+    const scope = req.event ? req.event.slug : 'all';
+    const fileName = `strips_${scope}_${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // Strips are already compressed JPEGs, so store them as they are
+    archive = archiver('zip', { store: true });
+    archive.pipe(res);
+
+    // Wait for each image to be written before reading the next one, so memory
+    // use stays flat however many strips there are
+    let aborted = false;
+    let entryWritten = null;
+    const stop = () => {
+      aborted = true;
+      if (entryWritten) entryWritten();
+    };
+    archive.on('entry', () => entryWritten && entryWritten());
+    archive.on('warning', (warning) => logger.warn('⚠️ ZIP export warning', warning));
+    archive.on('error', (archiveError) => {
+      logger.error('❌ ZIP export error', archiveError);
+      stop();
+      res.destroy(archiveError);
+    });
+    req.on('close', () => {
+      if (!res.writableFinished) {
+        stop();
+        archive.abort();
+      }
+    });
+
+    const manifest = [['file', 'stripId', 'timestamp', 'event', 'printed', 'printedAt', 'error'].join(',')];
+    let exported = 0;
+
+    for await (const strip of Strip.find(filter).sort({ timestamp: 1, _id: 1 }).cursor()) {
+      if (aborted) break;
+
+      const name = exportFileName(strip);
+      let failure = null;
+      try {
+        const image = await readImage(strip.imageUrl);
+        if (aborted) break;
+        const written = new Promise((resolve) => { entryWritten = resolve; });
+        archive.append(image, { name, date: strip.timestamp });
+        await written;
+        entryWritten = null;
+        exported++;
+      } catch (readError) {
+        // Keep going - one missing image should not spoil the whole export
+        failure = readError.message;
+        logger.warn(`⚠️ Skipping strip ${strip._id} in export: ${failure}`);
+      }
+
+      manifest.push([
+        failure ? '' : name,
+        strip._id,
+        strip.timestamp.toISOString(),
+        strip.eventName || '',
+        strip.printed,
+        strip.printedAt ? strip.printedAt.toISOString() : '',
+        failure || ''
+      ].map(csvField).join(','));
+    }
+
+    if (aborted) {
+      logger.warn('⚠️ ZIP export stopped before it finished');
+      return;
+    }
+
+    if (includeManifest) {
+      archive.append(`${manifest.join('\r\n')}\r\n`, { name: 'manifest.csv' });
+    }
+    await archive.finalize();
+    logger.info(`📦 Exported ${exported}/${total} strips as ${fileName}`);
+  } catch (error) {
+    logger.error("❌ Error exporting strips", error);
+    if (res.headersSent) {
+      // Mid-stream failure: cut the download so the client sees an incomplete file
+      if (archive) archive.abort();
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      message: "❌ Error exporting strips",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Export failed"
+    });
+  }
+};
+
+// Move a strip to the trash; services/trash.js purges it after the grace period
+exports.deleteStrip = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const strip = await Strip.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+    if (!strip) {
+      return res.status(404).json({ message: "❌ Strip not found" });
+    }
+
+    // Nothing in the trash should come out of the printer
+    await PrintJob.deleteMany({ strip: strip._id, status: { $in: ['queued', 'failed'] } });
+    logger.info(`🗑️ Moved strip ${id} to the trash`);
+    live.publishStripEvent('strip-deleted', { id }, strip.event);
+    await audit.record(req, {
+      action: 'strip.delete',
+      event: strip.event,
+      target: { type: 'strip', id },
+      summary: `Moved strip${strip.eventName ? ` from "${strip.eventName}"` : ''} to the trash`,
+      before: { deletedAt: null },
+      after: { deletedAt: strip.deletedAt }
+    });
+
+    res.json({ message: `🗑️ Moved strip to the trash. It can be restored for ${purgeAfterDays} days.` });
+  } catch (error) {
+    logger.error("❌ Error deleting strip", error);
 
     if (error.name === 'CastError') {
       return res.status(400).json({ message: "❌ Invalid strip ID" });
@@ -136,46 +579,31 @@ exports.deleteStrip = async (req, res) => {
 
 exports.deleteAllStrips = async (req, res) => {
   try {
-    // Get all strips to delete their Cloudinary images
-    const strips = await Strip.find({});
+    // Trash every strip of the selected event - or of every event when none is selected
+    const ids = await trash.trashStrips(req.event ? { event: req.event._id } : {});
 
-    if (strips.length === 0) {
+    if (ids.length === 0) {
       return res.json({ message: "ℹ️ No strips found to delete" });
     }
 
-    console.log(`🗑️ Starting deletion of ${strips.length} strips...`);
-
-    // Delete all images from Cloudinary
-    let deletedImages = 0;
-
-    for (const strip of strips) {
-      // Delete main image from Cloudinary
-      if (strip.imageUrl) {
-        try {
-          const publicId = strip.imageUrl.split('/').pop().split('.')[0];
-          const fullPublicId = `strip-photobooth/${publicId}`;
-          await cloudinary.uploader.destroy(fullPublicId);
-          deletedImages++;
-          console.log(`✅ Deleted image from Cloudinary: ${fullPublicId}`);
-        } catch (error) {
-          console.warn(`⚠️ Failed to delete image from Cloudinary: ${error.message}`);
-        }
-      }
-    }
-
-    // Delete all strips from database
-    const deleteResult = await Strip.deleteMany({});
-    console.log(`✅ Deleted ${deleteResult.deletedCount} strips from database`);
+    logger.info(`🗑️ Moved ${ids.length} strips to the trash`);
+    live.publishStripEvent('strip-deleted', { all: true, event: req.event ? req.event._id : null }, req.event);
+    await audit.record(req, {
+      action: 'strip.delete-all',
+      event: req.event,
+      summary: `Moved all ${ids.length} strips${req.event ? ` of "${req.event.name}"` : ' of every event'} to the trash`,
+      before: { strips: ids.length },
+      after: { strips: 0, trashed: ids.length }
+    });
 
     res.json({
-      message: `✅ Successfully deleted all ${deleteResult.deletedCount} strips`,
+      message: `🗑️ Moved ${ids.length} strips to the trash. They can be restored for ${purgeAfterDays} days.`,
       details: {
-        stripsDeleted: deleteResult.deletedCount,
-        imagesDeleted: deletedImages
+        stripsTrashed: ids.length
       }
     });
   } catch (error) {
-    console.error("❌ Error deleting all strips:", error);
+    logger.error("❌ Error deleting all strips", error);
 
     res.status(500).json({
       message: "❌ Error deleting all strips",
@@ -188,20 +616,29 @@ exports.markPrinted = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const updatedStrip = await Strip.findByIdAndUpdate(
-      id,
-      { printed: true },
-      { new: true }
-    );
+    // Fetch the previous values for the audit log, then apply the same update locally
+    const update = { printed: true, printedAt: new Date() };
+    const previous = await Strip.findByIdAndUpdate(id, update, { new: false });
 
-    if (!updatedStrip) {
+    if (!previous) {
       return res.status(404).json({ message: "❌ Strip not found" });
     }
-
-    console.log(`✅ Marked strip as printed with ID: ${id}`);
+    const before = { printed: previous.printed, printedAt: previous.printedAt };
+    const updatedStrip = previous.set(update);
+
+    logger.info(`✅ Marked strip as printed with ID: ${id}`);
+    live.publishStripEvent('strip-printed', { strip: updatedStrip }, updatedStrip.event);
+    await audit.record(req, {
+      action: 'strip.mark-printed',
+      event: updatedStrip.event,
+      target: { type: 'strip', id },
+      summary: before.printed ? 'Marked strip as printed again' : 'Marked strip as printed',
+      before,
+      after: update
+    });
     res.json({ message: `✅ Marked strip as printed with id: ${id}`, strip: updatedStrip });
   } catch (error) {
-    console.error("❌ Error marking printed:", error);
+    logger.error("❌ Error marking printed", error);
 
     if (error.name === 'CastError') {
       return res.status(400).json({ message: "❌ Invalid strip ID" });
@@ -213,3 +650,173 @@ exports.markPrinted = async (req, res) => {
     });
   }
 };
+
+/**
+ * PATCH /api/strips/:id/star
+ * Body: { starred: true|false }. Starred strips can be kept by the retention policy.
+ */
+exports.starStrip = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { starred } = req.body;
+    if (typeof starred !== 'boolean') {
+      return res.status(400).json({ message: "❌ 'starred' must be true or false" });
+    }
+
+    const strip = await Strip.findOneAndUpdate({ _id: id, deletedAt: null }, { starred }, { new: true });
+    if (!strip) {
+      return res.status(404).json({ message: "❌ Strip not found" });
+    }
+
+    await audit.record(req, {
+      action: 'strip.star',
+      event: strip.event,
+      target: { type: 'strip', id },
+      summary: starred ? 'Starred a strip' : 'Removed the star from a strip',
+      after: { starred }
+    });
+    res.json({ message: starred ? '⭐ Strip starred' : '✅ Star removed', strip });
+  } catch (error) {
+    logger.error("❌ Error starring strip", error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: "❌ Invalid strip ID" });
+    }
+
+    res.status(500).json({
+      message: "❌ Error starring strip",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Server error"
+    });
+  }
+};
+
+const MAX_TRASH_PAGE = 500;
+
+const trashFilter = (req) => (req.event
+  ? { event: req.event._id, deletedAt: { $ne: null } }
+  : { deletedAt: { $ne: null } });
+
+const handleTrashError = (res, error, action) => {
+  logger.error(`❌ Error ${action}`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: "❌ Invalid strip ID" });
+  }
+
+  res.status(500).json({
+    message: `❌ Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : "Server error"
+  });
+};
+
+/**
+ * GET /api/strips/trash
+ * Query: event, limit (max 500). Most recently deleted first.
+ * Returns { strips (each with purgeAt), total, purgeAfterDays }
+ */
+exports.getTrash = async (req, res) => {
+  try {
+    const filter = trashFilter(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_TRASH_PAGE);
+
+    const [strips, total] = await Promise.all([
+      Strip.find(filter).sort({ deletedAt: -1, _id: -1 }).limit(limit),
+      Strip.countDocuments(filter)
+    ]);
+
+    res.json({
+      strips: strips.map((strip) => ({ ...strip.toJSON(), purgeAt: trash.purgeDate(strip.deletedAt) })),
+      total,
+      purgeAfterDays
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'fetching trash');
+  }
+};
+
+// Bring strips back from the trash; the dashboard reloads on strip-restored
+const restore = async (req, res, filter) => {
+  const strips = await Strip.find(filter).select('_id event');
+  if (strips.length === 0) {
+    return res.status(404).json({ message: "❌ Nothing to restore" });
+  }
+
+  const ids = strips.map((s) => s._id);
+  const { modifiedCount } = await Strip.updateMany({ _id: { $in: ids } }, { deletedAt: null });
+  logger.info(`♻️ Restored ${modifiedCount} strips from the trash`);
+  await audit.record(req, {
+    action: 'strip.restore',
+    event: req.event || (strips.length === 1 ? strips[0].event : null),
+    target: strips.length === 1 ? { type: 'strip', id: String(ids[0]) } : null,
+    summary: `Restored ${modifiedCount} ${modifiedCount === 1 ? 'strip' : 'strips'} from the trash`,
+    after: { restored: modifiedCount }
+  });
+
+  // One notification per event so dashboards scoped to an event hear about it too
+  const events = new Map(strips.map((s) => [String(s.event), s.event]));
+  events.forEach((event) => {
+    const eventIds = strips.filter((s) => String(s.event) === String(event)).map((s) => s._id);
+    live.publishStripEvent('strip-restored', { ids: eventIds }, event);
+  });
+
+  res.json({ message: `♻️ Restored ${modifiedCount} ${modifiedCount === 1 ? 'strip' : 'strips'}`, restored: modifiedCount });
+};
+
+exports.restoreStrip = async (req, res) => {
+  try {
+    await restore(req, res, { _id: req.params.id, deletedAt: { $ne: null } });
+  } catch (error) {
+    handleTrashError(res, error, 'restoring strip');
+  }
+};
+
+exports.restoreTrash = async (req, res) => {
+  try {
+    await restore(req, res, trashFilter(req));
+  } catch (error) {
+    handleTrashError(res, error, 'restoring trash');
+  }
+};
+
+// Permanently delete one trashed strip
+exports.purgeStrip = async (req, res) => {
+  try {
+    const { stripsDeleted } = await trash.purgeStrips({ _id: req.params.id });
+    if (stripsDeleted === 0) {
+      return res.status(404).json({ message: "❌ Strip not found in the trash" });
+    }
+    await audit.record(req, {
+      action: 'strip.purge',
+      target: { type: 'strip', id: req.params.id },
+      summary: 'Permanently deleted a strip from the trash'
+    });
+
+    logger.info(`✅ Permanently deleted strip ${req.params.id}`);
+    res.json({ message: "✅ Strip permanently deleted" });
+  } catch (error) {
+    handleTrashError(res, error, 'deleting strip');
+  }
+};
+
+// Empty the trash (of the selected event, if any) right away
+exports.emptyTrash = async (req, res) => {
+  try {
+    const { stripsDeleted, imagesDeleted } = await trash.purgeStrips(trashFilter(req));
+    logger.info(`✅ Emptied trash: ${stripsDeleted} strips, ${imagesDeleted} images`);
+    if (stripsDeleted > 0) {
+      await audit.record(req, {
+        action: 'strip.empty-trash',
+        event: req.event,
+        summary: `Emptied the trash${req.event ? ` of "${req.event.name}"` : ''}: ${stripsDeleted} strips permanently deleted`,
+        after: { stripsDeleted, imagesDeleted }
+      });
+    }
+
+    res.json({
+      message: stripsDeleted > 0 ? `✅ Permanently deleted ${stripsDeleted} strips` : "ℹ️ The trash is already empty",
+      details: { stripsDeleted, imagesDeleted }
+    });
+  } catch (error) {
+    handleTrashError(res, error, 'emptying trash');
+  }
+};
@@ -0,0 +1,212 @@
+const Template = require('../models/Template');
+const Settings = require('../models/Settings');
+const storage = require('../storage');
+const live = require('../services/liveUpdates');
+const audit = require('../services/audit');
+const logger = require('../services/logger');
+
+const TEMPLATE_FOLDER = 'strip-photobooth/templates';
+
+const handleTemplateError = (res, error, action) => {
+  logger.error(`❌ Error ${action}`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ message: '❌ Validation error', error: error.message });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({ message: '❌ Invalid template ID' });
+  }
+
+  if (error.isStorageError) {
+    return res.status(500).json({
+      message: '❌ Template upload failed',
+      error: 'Failed to upload template to storage'
+    });
+  }
+
+  res.status(500).json({
+    message: `❌ Error ${action}`,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+  });
+};
+
+// Settings document for req.event, created on first use
+const findOrCreateSettings = async (event) => {
+  const settingsId = Settings.keyFor(event);
+  return (await Settings.findById(settingsId)) || new Settings({
+    _id: settingsId,
+    event: event ? event._id : null,
+    eventName: event ? event.name : ''
+  });
+};
+
+// List the library, marking the template active for ?event= (or the default booth)
+exports.getTemplates = async (req, res) => {
+  try {
+    const [templates, settings] = await Promise.all([
+      Template.find().sort({ createdAt: -1 }),
+      Settings.findById(Settings.keyFor(req.event))
+    ]);
+
+    res.json({
+      templates,
+      activeTemplateId: settings?.activeTemplate || null
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'fetching templates');
+  }
+};
+
+// Upload a new template (multipart `image`, optional `thumbnail`, `name`, `activate`)
+exports.uploadTemplate = async (req, res) => {
+  try {
+    const image = req.files?.image?.[0];
+    if (!image) {
+      return res.status(400).json({ message: '❌ No template image provided' });
+    }
+
+    const stamp = Date.now();
+    const stored = await storage.put(image.buffer, {
+      folder: TEMPLATE_FOLDER,
+      name: `template_${stamp}`,
+      contentType: image.mimetype
+    });
+
+    let storedThumbnail = null;
+    const thumbnail = req.files.thumbnail?.[0];
+    if (thumbnail) {
+      try {
+        storedThumbnail = await storage.put(thumbnail.buffer, {
+          folder: `${TEMPLATE_FOLDER}/thumbnails`,
+          name: `template_${stamp}_thumb`,
+          contentType: thumbnail.mimetype
+        });
+      } catch (error) {
+        // The gallery falls back to the full image
+        logger.warn(`⚠️ Failed to store template thumbnail: ${error.message}`);
+      }
+    }
+
+    const name = (req.body.name || image.originalname || '').trim().replace(/\.[a-z0-9]+$/i, '') || `Template ${new Date(stamp).toLocaleDateString()}`;
+    const template = await Template.create({
+      name: name.slice(0, 100),
+      url: stored.url,
+      storageId: stored.id,
+      thumbnailUrl: storedThumbnail?.url || null,
+      thumbnailStorageId: storedThumbnail?.id || null,
+      bytes: stored.bytes || image.size,
+      uploadedBy: req.admin.username
+    });
+
+    if (req.body.activate === 'true') {
+      const settings = await findOrCreateSettings(req.event);
+      settings.useTemplate(template);
+      await settings.save();
+      live.publishSettingsUpdated(req.event);
+    }
+
+    logger.info(`✅ Template "${template.name}" uploaded to ${storage.name} storage: ${template.url}`);
+    await audit.record(req, {
+      action: 'template.upload',
+      event: req.body.activate === 'true' ? req.event : null,
+      target: { type: 'template', id: String(template._id) },
+      summary: `Uploaded template "${template.name}"${req.body.activate === 'true' ? ' and made it active' : ''}`,
+      after: { name: template.name, url: template.url }
+    });
+    res.status(201).json({ message: '✅ Template uploaded successfully', template });
+  } catch (error) {
+    handleTemplateError(res, error, 'uploading template');
+  }
+};
+
+exports.renameTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: '❌ Template not found' });
+    }
+
+    const previousName = template.name;
+    template.name = req.body.name;
+    await template.save();
+    await audit.record(req, {
+      action: 'template.rename',
+      target: { type: 'template', id: String(template._id) },
+      summary: `Renamed template "${previousName}" to "${template.name}"`,
+      before: { name: previousName },
+      after: { name: template.name }
+    });
+
+    res.json({ message: '✅ Template renamed', template });
+  } catch (error) {
+    handleTemplateError(res, error, 'renaming template');
+  }
+};
+
+// Make a library template the active one for ?event= (or the default booth)
+exports.activateTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: '❌ Template not found' });
+    }
+
+    const settings = await findOrCreateSettings(req.event);
+    const before = { templateUrl: settings.templateUrl, activeTemplate: settings.activeTemplate };
+    settings.useTemplate(template);
+    await settings.save();
+    live.publishSettingsUpdated(req.event);
+    await audit.record(req, {
+      action: 'template.activate',
+      event: req.event,
+      target: { type: 'template', id: String(template._id) },
+      summary: `Activated template "${template.name}" for ${req.event ? `"${req.event.name}"` : 'the default booth'}`,
+      before,
+      after: { templateUrl: settings.templateUrl, activeTemplate: settings.activeTemplate }
+    });
+
+    logger.info(`🖼️ Template "${template.name}" activated for ${req.event ? `event "${req.event.name}"` : 'the default booth'}`);
+    res.json({ message: `✅ Now using template "${template.name}"`, template, settings });
+  } catch (error) {
+    handleTemplateError(res, error, 'activating template');
+  }
+};
+
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await Template.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: '❌ Template not found' });
+    }
+
+    // Don't pull the background out from under a running booth
+    const inUse = await Settings.countDocuments({ activeTemplate: template._id });
+    if (inUse > 0) {
+      return res.status(409).json({
+        message: `❌ Template is active on ${inUse} ${inUse === 1 ? 'booth' : 'booths'}. Switch to another template first.`
+      });
+    }
+
+    for (const id of [template.storageId, template.thumbnailStorageId].filter(Boolean)) {
+      try {
+        await storage.delete(id);
+        logger.info(`✅ Deleted template file from ${storage.name} storage: ${id}`);
+      } catch (error) {
+        logger.warn(`⚠️ Failed to delete template file from storage: ${error.message}`);
+      }
+    }
+
+    await template.deleteOne();
+    await audit.record(req, {
+      action: 'template.delete',
+      target: { type: 'template', id: String(template._id) },
+      summary: `Deleted template "${template.name}"`,
+      before: { name: template.name, url: template.url }
+    });
+
+    res.json({ message: `✅ Deleted template "${template.name}"` });
+  } catch (error) {
+    handleTemplateError(res, error, 'deleting template');
+  }
+};
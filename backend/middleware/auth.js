@@ -0,0 +1,68 @@
+const jwt = require("jsonwebtoken");
+const { jwtSecret } = require("../config/auth");
+
+const tokenError = (res, error) => {
+  const expired = error.name === 'TokenExpiredError';
+  return res.status(401).json({
+    message: expired ? "❌ Session expired, please log in again" : "❌ Invalid authentication token",
+    code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+  });
+};
+
+const decodeAdmin = (token) => {
+  const payload = jwt.verify(token, jwtSecret);
+  return { id: payload.sub, username: payload.username };
+};
+
+const bearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const requireToken = (readToken) => (req, res, next) => {
+  const token = readToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: "❌ Authentication required" });
+  }
+
+  try {
+    req.admin = decodeAdmin(token);
+    next();
+  } catch (error) {
+    return tokenError(res, error);
+  }
+};
+
+/**
+ * Require a valid admin JWT in the `Authorization: Bearer <token>` header.
+ * On success the decoded token is available as `req.admin`.
+ */
+exports.requireAdmin = requireToken(bearerToken);
+
+/**
+ * Like requireAdmin, but also accepts `?token=` so plain download links
+ * (which cannot send headers) can stream large files straight to disk.
+ */
+exports.requireAdminDownload = requireToken((req) => bearerToken(req) || req.query.token);
+
+/**
+ * Identify an admin when a token is present, without requiring one. Also reads
+ * `?token=` because EventSource cannot send headers. Sets `req.admin` or `null`;
+ * a bad token is still rejected so clients notice an expired session.
+ */
+exports.optionalAdmin = (req, res, next) => {
+  const token = bearerToken(req) || req.query.token;
+
+  if (!token) {
+    req.admin = null;
+    return next();
+  }
+
+  try {
+    req.admin = decodeAdmin(token);
+    next();
+  } catch (error) {
+    return tokenError(res, error);
+  }
+};
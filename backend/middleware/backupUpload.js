@@ -0,0 +1,33 @@
+const os = require("os");
+const multer = require("multer");
+const { maxBackupBytes } = require("../config/uploads");
+
+// Archives can be large, so they are spooled to a temp file instead of memory
+const backupArchive = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: maxBackupBytes, files: 1, fields: 5 }
+}).single('archive');
+
+/**
+ * Parse a multipart backup upload: the .tar.gz in the `archive` field, plus an
+ * optional `replaceSettings` field. The file ends up in `req.file.path`; the
+ * controller deletes it when the restore is done.
+ */
+exports.parseBackupUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({ message: "❌ Backups must be uploaded as multipart/form-data" });
+  }
+
+  backupArchive(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `❌ Backup too large. Maximum size is ${Math.round(maxBackupBytes / 1024 / 1024)}MB`
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: "❌ Invalid upload: expected a backup file in the 'archive' field" });
+    }
+    next(error);
+  });
+};
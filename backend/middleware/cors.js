@@ -0,0 +1,66 @@
+const cors = require("cors");
+const corsConfig = require("../config/cors");
+const logger = require("../services/logger");
+
+// Rejected origins are warned about once each, up to this many, when CORS_DEBUG is off
+const MAX_LOGGED_REJECTIONS = 100;
+
+const HOST_LABELS = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+
+/**
+ * Turn an allowlist entry into a matcher for lowercased origins:
+ *   "*"                        any origin
+ *   "https://*.example.com"    any subdomain of example.com over https (not example.com itself)
+ *   "https://booth.example.com" exactly that origin (scheme, host and port)
+ */
+const compileOrigin = (entry) => {
+  if (entry === '*') return () => true;
+
+  const wildcard = /^(https?:\/\/)\*\.([^*/]+)$/i.exec(entry);
+  if (wildcard) {
+    const scheme = wildcard[1].toLowerCase();
+    const suffix = `.${wildcard[2].toLowerCase()}`;
+    return (origin) => origin.startsWith(scheme) && origin.endsWith(suffix) &&
+      HOST_LABELS.test(origin.slice(scheme.length, -suffix.length));
+  }
+
+  if (!/^https?:\/\/[^*/]+$/i.test(entry)) {
+    logger.warn(`⚠️ CORS: ignoring invalid origin "${entry}" (expected e.g. https://booth.example.com or https://*.example.com)`);
+    return () => false;
+  }
+  const exact = entry.toLowerCase();
+  return (origin) => origin === exact;
+};
+
+const matchers = corsConfig.origins.map(compileOrigin);
+const loggedRejections = new Set();
+
+exports.isAllowedOrigin = (origin) => matchers.some((matches) => matches(String(origin).toLowerCase()));
+
+exports.corsMiddleware = cors({
+  origin(origin, callback) {
+    // Requests without an Origin header come from curl, print stations and other non-browser clients
+    if (!origin) return callback(null, true);
+
+    const allowed = exports.isAllowedOrigin(origin);
+    const log = corsConfig.debug ? logger.info : logger.debug;
+    log(`${allowed ? '✅' : '❌'} CORS: ${allowed ? 'allowed' : 'rejected'} ${origin}`);
+
+    // Without CORS_DEBUG a rejected origin still gets one warning, so a gap in the allowlist shows up
+    if (!allowed && !corsConfig.debug && !loggedRejections.has(origin) && loggedRejections.size < MAX_LOGGED_REJECTIONS) {
+      loggedRejections.add(origin);
+      logger.warn(`⚠️ CORS: rejected origin ${origin} (add it to CORS_ORIGINS to allow it)`);
+    }
+
+    // A rejected origin gets no CORS headers, so the browser blocks the response
+    callback(null, allowed);
+  },
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id'], // Read by the booth's retry logic and error reports
+  maxAge: corsConfig.maxAgeSeconds,
+  optionsSuccessStatus: 200 // For legacy browser support
+});
+
+logger.info(`🌐 CORS allowlist (${corsConfig.environment}): ${corsConfig.origins.join(', ') || 'none'}`);
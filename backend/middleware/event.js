@@ -0,0 +1,31 @@
+const Event = require("../models/Event");
+const logger = require("../services/logger");
+
+/**
+ * Resolve the event a request is scoped to from `?event=` or `body.event`
+ * (ObjectId or slug). Sets `req.event` to the Event document, or `null` for
+ * the default booth when no event is given.
+ */
+exports.resolveEvent = async (req, res, next) => {
+  const value = req.query.event || (req.body && req.body.event);
+
+  if (!value) {
+    req.event = null;
+    return next();
+  }
+
+  try {
+    const event = await Event.findByIdOrSlug(value);
+    if (!event) {
+      return res.status(404).json({ message: "❌ Event not found" });
+    }
+    req.event = event;
+    next();
+  } catch (error) {
+    logger.error("❌ Error resolving event", error);
+    res.status(500).json({
+      message: "❌ Error resolving event",
+      error: process.env.NODE_ENV === 'development' ? error.message : "Server error"
+    });
+  }
+};
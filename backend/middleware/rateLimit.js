@@ -0,0 +1,84 @@
+const { windowSeconds } = require("../config/rateLimits");
+const logger = require("../services/logger");
+
+const CONCURRENCY_RETRY_SECONDS = 2;
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, code: 'RATE_LIMITED', retryAfter });
+};
+
+/**
+ * Fixed-window request counter kept in memory (one backend instance).
+ * `key(req)` picks the bucket, e.g. the client IP; `limit` of 0 disables it.
+ * Sets RateLimit-* headers and answers 429 with Retry-After once a bucket is full.
+ */
+exports.rateLimit = ({ name, limit, key, message }) => {
+  if (!limit) {
+    return (req, res, next) => next();
+  }
+
+  const windowMs = windowSeconds * 1000;
+  const buckets = new Map();
+
+  // Drop expired buckets so one-off clients do not pile up
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, bucketKey) => bucket.resetAt <= now && buckets.delete(bucketKey));
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const bucketKey = key(req);
+    let bucket = buckets.get(bucketKey);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(bucketKey, bucket);
+    }
+    bucket.count++;
+
+    const resetSeconds = Math.ceil((bucket.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - bucket.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (bucket.count > limit) {
+      logger.warn(`⚠️ Rate limit "${name}" hit by ${bucketKey} (${bucket.count}/${limit} in ${windowSeconds}s)`);
+      return tooManyRequests(res, resetSeconds, message);
+    }
+    next();
+  };
+};
+
+/**
+ * Cap how many requests run through the rest of the chain at once.
+ * The slot is released when the response finishes or the client disconnects.
+ */
+exports.concurrencyLimit = ({ name, max, message }) => {
+  if (!max) {
+    return (req, res, next) => next();
+  }
+
+  let active = 0;
+
+  return (req, res, next) => {
+    if (active >= max) {
+      logger.warn(`⚠️ Concurrency limit "${name}" reached (${max} at once)`);
+      return tooManyRequests(res, CONCURRENCY_RETRY_SECONDS, message);
+    }
+
+    active++;
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        active--;
+      }
+    };
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+  };
+};
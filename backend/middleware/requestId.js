@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const logger = require("../services/logger");
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// An ID set by a proxy in front of us is kept, so one request can be followed across services
+const VALID_REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Give every request an ID: returned in the X-Request-Id header, added to JSON
+ * error responses as `requestId`, and attached to every log entry made while
+ * the request is handled.
+ */
+exports.requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+
+  // Error bodies carry the ID, so a problem report can be matched to the logs
+  const json = res.json.bind(res);
+  res.json = (body) => json(
+    res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+      ? { ...body, requestId: req.id }
+      : body
+  );
+
+  logger.withContext({ requestId: req.id }, next);
+};
+
+/**
+ * Log each request when its response is sent. Changes and failures are logged
+ * at info; routine reads (like the booths polling their settings) at debug.
+ */
+exports.requestLog = (req, res, next) => {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const routine = ['GET', 'HEAD', 'OPTIONS'].includes(req.method) && res.statusCode < 400;
+    // The path only - query strings can hold download tokens
+    logger[routine ? 'debug' : 'info'](`${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+      requestId: req.id,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6)
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,54 @@
+const express = require("express");
+const multer = require("multer");
+const { maxStripBytes } = require("../config/uploads");
+
+// Multipart uploads are kept in memory - strips are a few MB at most
+const multipartUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxStripBytes, files: 1, fields: 10 },
+  fileFilter: (_req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).single('image');
+
+const rawUpload = express.raw({ type: 'image/*', limit: maxStripBytes });
+
+const tooLarge = (res) => res.status(413).json({
+  message: `❌ Image too large. Maximum size is ${Math.round(maxStripBytes / 1024 / 1024)}MB`
+});
+
+/**
+ * Parse binary strip uploads before they reach the controller:
+ * - multipart/form-data with an `image` file field (plus `template`/`event` fields)
+ * - a raw `image/jpeg` (or other image/*) body, with `?event=` in the query
+ * JSON bodies with a base64 `image` data URL pass through untouched for older clients.
+ */
+exports.parseStripUpload = (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return multipartUpload(req, res, (error) => {
+      if (!error) return next();
+      if (error.code === 'LIMIT_FILE_SIZE') return tooLarge(res);
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: "❌ Invalid upload: expected a single image file in the 'image' field" });
+      }
+      next(error);
+    });
+  }
+
+  if (req.is('image/*')) {
+    return rawUpload(req, res, (error) => {
+      if (!error) {
+        req.file = { buffer: req.body, mimetype: req.headers['content-type'].split(';')[0], size: req.body.length };
+        req.body = {};
+        return next();
+      }
+      if (error.type === 'entity.too.large') return tooLarge(res);
+      next(error);
+    });
+  }
+
+  next();
+};
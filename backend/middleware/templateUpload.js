@@ -0,0 +1,40 @@
+const multer = require("multer");
+const { maxStripBytes } = require("../config/uploads");
+
+// Template image plus an optional gallery thumbnail rendered by the dashboard
+const templateFields = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxStripBytes, files: 2, fields: 10 },
+  fileFilter: (_req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
+/**
+ * Parse a multipart template upload: an `image` file, an optional `thumbnail`
+ * file and a `name` field. Files end up in `req.files.image[0]` / `req.files.thumbnail[0]`.
+ */
+exports.parseTemplateUpload = (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({ message: "❌ Templates must be uploaded as multipart/form-data" });
+  }
+
+  templateFields(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `❌ Template too large. Maximum size is ${Math.round(maxStripBytes / 1024 / 1024)}MB`
+      });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: "❌ Invalid upload: expected an image file in the 'image' field" });
+    }
+    next(error);
+  });
+};
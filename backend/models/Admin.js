@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const logger = require("../services/logger");
+
+const SALT_ROUNDS = 12;
+
+const AdminSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [50, 'Username cannot exceed 50 characters']
+  },
+  // bcrypt hash - the plain password is never stored
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+AdminSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password || '', this.passwordHash);
+};
+
+AdminSchema.statics.hashPassword = function(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Create the first admin account from environment variables if none exists yet
+AdminSchema.statics.ensureDefaultAdmin = async function(username, password) {
+  const count = await this.countDocuments();
+  if (count > 0) return null;
+
+  if (!username || !password) {
+    logger.warn("⚠️ No admin account exists and ADMIN_USERNAME/ADMIN_PASSWORD are not set - admin login is disabled");
+    return null;
+  }
+
+  const admin = await this.create({
+    username,
+    passwordHash: await this.hashPassword(password)
+  });
+  logger.info(`✅ Created default admin account: ${admin.username}`);
+  return admin;
+};
+
+// Never leak the password hash in API responses
+AdminSchema.set('toJSON', {
+  transform: (_doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model("Admin", AdminSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Actions written by services/audit.js, grouped by what they touch
+const AUDIT_ACTIONS = [
+  'strip.delete',
+  'strip.delete-all',
+  'strip.restore',
+  'strip.purge',
+  'strip.empty-trash',
+  'strip.mark-printed',
+  'strip.star',
+  'strip.retention',
+  'settings.update',
+  'settings.template-remove',
+  'template.upload',
+  'template.rename',
+  'template.activate',
+  'template.delete',
+  'event.create',
+  'event.update',
+  'event.delete',
+  'backup.export',
+  'backup.restore'
+];
+
+// One admin action: who did what, from where, and what changed
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: [true, 'Action is required'],
+    index: true
+  },
+  actor: {
+    id: { type: String, default: null },
+    username: { type: String, default: null, index: true }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  // What was acted on, e.g. { type: 'strip', id: '...' }
+  target: {
+    type: { type: String, default: null },
+    id: { type: String, default: null }
+  },
+  // One line for the activity list
+  summary: {
+    type: String,
+    maxlength: 500
+  },
+  // Changed fields only, before and after the action
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1, _id: -1 });
+
+AuditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
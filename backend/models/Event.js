@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Turn an event name into a URL-safe slug, e.g. "Anna & Ben's Wedding" -> "anna-bens-wedding"
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/['\u2019]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+const EventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    maxlength: [100, 'Event name cannot exceed 100 characters'],
+    trim: true
+  },
+  // Used in capture links: /e/:slug
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  archived: {
+    type: Boolean,
+    default: false,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Generate a unique slug from the event name if none was given
+EventSchema.pre('validate', async function(next) {
+  try {
+    if (this.slug) {
+      this.slug = slugify(this.slug);
+    }
+    if (!this.slug) {
+      const base = slugify(this.name) || 'event';
+      let candidate = base;
+      let suffix = 2;
+      while (await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } })) {
+        candidate = `${base}-${suffix++}`;
+      }
+      this.slug = candidate;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Find an event by its ObjectId or slug
+EventSchema.statics.findByIdOrSlug = function(value) {
+  if (!value) return Promise.resolve(null);
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    return this.findOne({ $or: [{ _id: value }, { slug: String(value).toLowerCase() }] });
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+EventSchema.statics.slugify = slugify;
+
+module.exports = mongoose.model("Event", EventSchema);
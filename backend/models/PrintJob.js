@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const PRINT_JOB_STATUSES = ['queued', 'claimed', 'printing', 'printed', 'failed'];
+// Jobs still on their way to the printer
+const OPEN_STATUSES = ['queued', 'claimed', 'printing'];
+
+// Allowed status changes: queued -> claimed -> printing -> printed/failed, failed -> queued (retry).
+// Claimed/printing jobs can also be released back to the queue.
+const TRANSITIONS = {
+  queued: ['claimed'],
+  claimed: ['printing', 'printed', 'failed', 'queued'],
+  printing: ['printed', 'failed', 'queued'],
+  failed: ['queued'],
+  printed: []
+};
+
+const PrintJobSchema = new mongoose.Schema({
+  strip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Strip',
+    required: [true, 'Strip is required'],
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: PRINT_JOB_STATUSES,
+    default: 'queued'
+  },
+  copies: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one copy is required'],
+    max: [10, 'Cannot print more than 10 copies at once']
+  },
+  // Number of times this job has been claimed
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  requestedBy: {
+    type: String,
+    default: null
+  },
+  // Name of the print station that claimed the job
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: Date,
+  startedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  lastError: {
+    type: String,
+    maxlength: [500, 'Error message cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The claim query picks the oldest queued job
+PrintJobSchema.index({ status: 1, createdAt: 1 });
+
+// One open job per strip - stops two operators queueing the same strip
+// ($in in a partial index needs MongoDB 6.0)
+PrintJobSchema.index(
+  { strip: 1 },
+  { name: 'strip_open_unique', unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+PrintJobSchema.statics.STATUSES = PRINT_JOB_STATUSES;
+PrintJobSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+PrintJobSchema.statics.canTransition = function(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+module.exports = mongoose.model("PrintJob", PrintJobSchema);
@@ -1,19 +1,168 @@
 const mongoose = require('mongoose');
 
+// Settings of the default booth (used when no event is selected)
+const DEFAULT_SETTINGS_ID = 'photobooth-settings';
+
+// 2x6 inch strip at 300 DPI with three stacked photo boxes
+const DEFAULT_LAYOUT = {
+  canvasWidth: 660,
+  canvasHeight: 1800,
+  slots: [
+    { x: 70, y: 90, width: 520, height: 385 },
+    { x: 70, y: 515, width: 520, height: 385 },
+    { x: 70, y: 940, width: 520, height: 385 }
+  ],
+  border: {
+    enabled: true,
+    color: '#000000',
+    width: 4
+  }
+};
+
+const MAX_LAYOUT_SLOTS = 6;
+
+// off: keep strips until an admin deletes them
+// age: remove strips taken more than `days` ago
+// afterEventEnd: remove all of an event's strips `days` after its end date
+const RETENTION_MODES = ['off', 'age', 'afterEventEnd'];
+
+// Placeholders: {{eventName}}, {{shareUrl}}, {{date}}
+const DEFAULT_EMAIL_TEMPLATE = {
+  subject: 'Your photo strip from {{eventName}}',
+  body: 'Hi!\n\nThanks for visiting the photobooth at {{eventName}}. Your photo strip is attached.\n\nYou can also download or share it here: {{shareUrl}}\n\nEnjoy!'
+};
+
+// Photo box rectangle in canvas pixels
+const layoutSlotSchema = new mongoose.Schema({
+  x: { type: Number, required: true, min: 0 },
+  y: { type: Number, required: true, min: 0 },
+  width: { type: Number, required: true, min: 10 },
+  height: { type: Number, required: true, min: 10 }
+}, { _id: false });
+
 const settingsSchema = new mongoose.Schema({
   eventName: {
     type: String,
     default: ''
   },
+  // Event these settings belong to (null for the default booth)
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  // Active template from the library; templateUrl mirrors its URL for the capture page
+  activeTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Template',
+    default: null
+  },
   templateUrl: {
     type: String,
     default: null
   },
-  // Keep track of Cloudinary public IDs for deletion
+  // Legacy: storage ID of a template uploaded before the library existed (see Template.importLegacyTemplates)
   templatePublicId: {
     type: String,
     default: null
   },
+  // Strip canvas size and where the captured photos are placed on it
+  layout: {
+    canvasWidth: {
+      type: Number,
+      default: DEFAULT_LAYOUT.canvasWidth,
+      min: 100,
+      max: 4000
+    },
+    canvasHeight: {
+      type: Number,
+      default: DEFAULT_LAYOUT.canvasHeight,
+      min: 100,
+      max: 6000
+    },
+    slots: {
+      type: [layoutSlotSchema],
+      default: () => DEFAULT_LAYOUT.slots.map((slot) => ({ ...slot })),
+      validate: [
+        {
+          validator: (slots) => slots.length >= 1 && slots.length <= MAX_LAYOUT_SLOTS,
+          message: `Layout needs between 1 and ${MAX_LAYOUT_SLOTS} photo slots`
+        },
+        {
+          validator: function(slots) {
+            const { canvasWidth, canvasHeight } = this.layout;
+            return slots.every((slot) => slot.x + slot.width <= canvasWidth && slot.y + slot.height <= canvasHeight);
+          },
+          message: 'Photo slots must fit inside the canvas'
+        }
+      ]
+    },
+    border: {
+      enabled: {
+        type: Boolean,
+        default: DEFAULT_LAYOUT.border.enabled
+      },
+      color: {
+        type: String,
+        default: DEFAULT_LAYOUT.border.color,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Border color must be a hex color like #000000']
+      },
+      width: {
+        type: Number,
+        default: DEFAULT_LAYOUT.border.width,
+        min: 0,
+        max: 40
+      }
+    }
+  },
+  // Seconds the share QR code stays on the booth after a submission (0 hides it)
+  shareQrSeconds: {
+    type: Number,
+    default: 30,
+    min: 0,
+    max: 600
+  },
+  // Email sent to guests who ask for their strip
+  emailTemplate: {
+    subject: {
+      type: String,
+      default: DEFAULT_EMAIL_TEMPLATE.subject,
+      maxlength: [200, 'Email subject must be at most 200 characters']
+    },
+    body: {
+      type: String,
+      default: DEFAULT_EMAIL_TEMPLATE.body,
+      maxlength: [5000, 'Email body must be at most 5000 characters']
+    }
+  },
+  // Automatic cleanup of old strips, applied by services/retention.js
+  retention: {
+    mode: {
+      type: String,
+      enum: RETENTION_MODES,
+      default: 'off',
+      validate: {
+        validator: function(mode) {
+          return mode !== 'afterEventEnd' || !!this.event;
+        },
+        message: 'The default booth has no end date - remove strips by age instead'
+      }
+    },
+    days: {
+      type: Number,
+      default: 30,
+      min: [1, 'Keep strips for at least 1 day'],
+      max: [3650, 'Keep strips for at most 3650 days'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Retention days must be a whole number'
+      }
+    },
+    keepStarred: {
+      type: Boolean,
+      default: true
+    }
+  },
   // Text styling options
   textStyle: {
     fontSize: {
@@ -45,10 +194,10 @@ const settingsSchema = new mongoose.Schema({
       default: true
     }
   },
-  // Singleton pattern - only one settings document
+  // One settings document per event, keyed by Settings.keyFor(event)
   _id: {
     type: String,
-    default: 'photobooth-settings'
+    default: DEFAULT_SETTINGS_ID
   },
   updatedAt: {
     type: Date,
@@ -65,4 +214,19 @@ settingsSchema.pre('save', function(next) {
   next();
 });
 
+// Settings document id for an event (or the default booth when event is null)
+settingsSchema.statics.keyFor = function(event) {
+  return event ? `event-${event._id}` : DEFAULT_SETTINGS_ID;
+};
+
+// Switch to a library template (or to no template with null)
+settingsSchema.methods.useTemplate = function(template) {
+  this.activeTemplate = template ? template._id : null;
+  this.templateUrl = template ? template.url : null;
+};
+
+settingsSchema.statics.DEFAULT_LAYOUT = DEFAULT_LAYOUT;
+settingsSchema.statics.DEFAULT_EMAIL_TEMPLATE = DEFAULT_EMAIL_TEMPLATE;
+settingsSchema.statics.RETENTION_MODES = RETENTION_MODES;
+
 module.exports = mongoose.model('Settings', settingsSchema);
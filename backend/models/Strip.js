@@ -1,4 +1,53 @@
+const crypto = require("crypto");
 const mongoose = require("mongoose");
+const logger = require("../services/logger");
+
+// 12 URL-safe characters (72 random bits) - short enough for a QR code, not guessable
+const generateShareId = () => crypto.randomBytes(9).toString('base64url');
+
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Guest email delivery, processed by services/mailer.js
+const EmailDeliverySchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email address is too long'],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+  },
+  status: {
+    type: String,
+    enum: EMAIL_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Link to the guest share page, included in the email body
+  shareUrl: {
+    type: String,
+    default: null
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const StripSchema = new mongoose.Schema({
   imageUrl: {
@@ -11,11 +60,40 @@ const StripSchema = new mongoose.Schema({
       message: 'Image URL must be a valid URL'
     }
   },
+  // Storage IDs of the image and its previews, used for deletion and by scripts/reconcile-storage.js
+  // (null when the image lives somewhere the current storage driver does not manage)
+  storageId: {
+    type: String,
+    default: null
+  },
+  thumbnailStorageId: {
+    type: String,
+    default: null
+  },
+  mediumStorageId: {
+    type: String,
+    default: null
+  },
+  // Smaller copies for the admin grid (services/stripImage.js); print and download use imageUrl
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  mediumUrl: {
+    type: String,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
     index: true
   },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null,
+    index: true
+  },
   eventName: {
     type: String,
     maxlength: [100, 'Event name cannot exceed 100 characters'],
@@ -26,6 +104,32 @@ const StripSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  printedAt: {
+    type: Date,
+    default: null
+  },
+  // Favourites; the retention policy can be told to keep them (services/retention.js)
+  starred: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Set when the strip is moved to the trash; services/trash.js purges it later
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  email: {
+    type: EmailDeliverySchema,
+    default: null
+  },
+  // Public ID for the guest share page (/s/:shareId)
+  shareId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   template: {
     type: String,
     validate: {
@@ -46,5 +150,41 @@ const StripSchema = new mongoose.Schema({
 // Add indexes for better performance
 StripSchema.index({ timestamp: -1 });
 StripSchema.index({ printed: 1 });
+StripSchema.index({ event: 1, timestamp: -1 });
+StripSchema.index({ 'email.status': 1, 'email.nextAttemptAt': 1 }, { sparse: true });
+
+StripSchema.pre('validate', function(next) {
+  if (!this.shareId) {
+    this.shareId = generateShareId();
+  }
+  next();
+});
+
+// Give strips created before share links existed a share ID
+StripSchema.statics.ensureShareIds = async function() {
+  const strips = await this.find({ shareId: { $exists: false } }).select('_id');
+  for (const strip of strips) {
+    await this.updateOne({ _id: strip._id, shareId: { $exists: false } }, { shareId: generateShareId() });
+  }
+  if (strips.length > 0) {
+    logger.info(`🔗 Added share IDs to ${strips.length} existing strips`);
+  }
+};
+
+// Record the storage IDs of strips saved before they were stored, derived from
+// their URLs with the storage driver's `idFromUrl`
+StripSchema.statics.ensureStorageIds = async function(storage) {
+  const strips = await this.find({ storageId: { $exists: false } }).select('imageUrl thumbnailUrl mediumUrl');
+  for (const strip of strips) {
+    await this.updateOne({ _id: strip._id }, {
+      storageId: storage.idFromUrl(strip.imageUrl),
+      thumbnailStorageId: strip.thumbnailUrl ? storage.idFromUrl(strip.thumbnailUrl) : null,
+      mediumStorageId: strip.mediumUrl ? storage.idFromUrl(strip.mediumUrl) : null
+    });
+  }
+  if (strips.length > 0) {
+    logger.info(`🔗 Recorded storage IDs of ${strips.length} existing strips`);
+  }
+};
 
 module.exports = mongoose.model("Strip", StripSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const logger = require("../services/logger");
+
+// A strip background in the template library. Settings point at the active one.
+const TemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name must be at most 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Template URL is required']
+  },
+  // Storage ID of the template image, used for deletion
+  storageId: {
+    type: String,
+    default: null
+  },
+  // Small preview for the gallery (falls back to url)
+  thumbnailUrl: {
+    type: String,
+    default: null
+  },
+  thumbnailStorageId: {
+    type: String,
+    default: null
+  },
+  bytes: {
+    type: Number,
+    default: null
+  },
+  uploadedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+TemplateSchema.index({ createdAt: -1 });
+
+/**
+ * Move templates uploaded before the library existed (stored directly on
+ * Settings.templatePublicId) into the Template collection, once.
+ */
+TemplateSchema.statics.importLegacyTemplates = async function() {
+  const Settings = mongoose.model('Settings');
+  const legacySettings = await Settings.find({ templatePublicId: { $ne: null }, activeTemplate: null });
+
+  for (const settings of legacySettings) {
+    const template = await this.create({
+      name: settings.eventName ? `${settings.eventName} template` : 'Imported template',
+      url: settings.templateUrl,
+      storageId: settings.templatePublicId
+    });
+    settings.activeTemplate = template._id;
+    settings.templatePublicId = null;
+    await settings.save();
+    logger.info(`📦 Imported legacy template ${template.storageId} into the template library`);
+  }
+};
+
+module.exports = mongoose.model('Template', TemplateSchema);
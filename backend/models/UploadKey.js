@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Client-generated key of one strip upload (Idempotency-Key header), so a
+// retried POST returns the strip that was already saved. See services/uploadKeys.js.
+const UploadKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Set once the upload has been saved; null while it is still being processed
+  strip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Strip',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // MongoDB removes the key after this date (TTL index)
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+module.exports = mongoose.model("UploadKey", UploadKeySchema);
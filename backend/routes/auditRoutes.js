@@ -0,0 +1,8 @@
+const router = require("express").Router();
+const c = require("../controllers/auditController");
+const { requireAdmin } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
+
+router.get("/", requireAdmin, resolveEvent, c.getAuditLogs);
+
+module.exports = router;
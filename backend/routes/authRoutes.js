@@ -0,0 +1,8 @@
+const router = require("express").Router();
+const c = require("../controllers/authController");
+const { requireAdmin } = require("../middleware/auth");
+
+router.post("/login", c.login);
+router.get("/me", requireAdmin, c.me);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const router = require("express").Router();
+const c = require("../controllers/backupController");
+const { requireAdmin, requireAdminDownload } = require("../middleware/auth");
+const { parseBackupUpload } = require("../middleware/backupUpload");
+
+router.get("/", requireAdminDownload, c.downloadBackup);
+router.post("/restore", requireAdmin, parseBackupUpload, c.restoreBackup);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const router = require("express").Router();
+const c = require("../controllers/eventController");
+const { requireAdmin } = require("../middleware/auth");
+
+// Public: the capture page looks up an event by slug
+router.get("/:id", c.getEvent);
+
+// Admin only
+router.get("/", requireAdmin, c.getEvents);
+router.post("/", requireAdmin, c.createEvent);
+router.put("/:id", requireAdmin, c.updateEvent);
+router.delete("/:id", requireAdmin, c.deleteEvent);
+
+module.exports = router;
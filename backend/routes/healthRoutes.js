@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
+const logger = require("../services/logger");
 
 /**
  * @route   GET /api/health
@@ -44,7 +45,7 @@ router.get("/", async (req, res) => {
       }
     });
   } catch (error) {
-    console.error("❌ Health check error:", error);
+    logger.error("❌ Health check error", error);
     res.status(500).json({
       status: "error",
       message: "Health check failed",
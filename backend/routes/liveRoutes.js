@@ -0,0 +1,9 @@
+const router = require("express").Router();
+const c = require("../controllers/liveController");
+const { optionalAdmin } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
+
+// Public for booths (settings updates); admins pass ?token= to also receive strip events
+router.get("/", optionalAdmin, resolveEvent, c.streamUpdates);
+
+module.exports = router;
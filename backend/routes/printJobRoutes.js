@@ -0,0 +1,16 @@
+const router = require("express").Router();
+const c = require("../controllers/printJobController");
+const { requireAdmin } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
+
+// Print stations log in with admin credentials
+router.use(requireAdmin);
+
+router.get("/", resolveEvent, c.getPrintJobs);
+router.post("/", c.createPrintJob);
+router.post("/claim", resolveEvent, c.claimNextJob); // Must be before /:id routes
+router.patch("/:id/status", c.updateJobStatus);
+router.post("/:id/retry", c.retryJob);
+router.delete("/:id", c.deleteJob);
+
+module.exports = router;
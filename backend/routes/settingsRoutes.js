@@ -1,8 +1,14 @@
 const router = require("express").Router();
 const c = require("../controllers/settingsController");
+const { requireAdmin } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
 
-router.get("/", c.getSettings);
-router.put("/", c.updateSettings);
-router.delete("/template", c.deleteTemplate);
+// Public: the capture page reads the active template
+router.get("/", resolveEvent, c.getSettings);
+
+// Admin only
+router.put("/", requireAdmin, resolveEvent, c.updateSettings);
+router.delete("/template", requireAdmin, resolveEvent, c.deleteTemplate);
+router.get("/retention/preview", requireAdmin, resolveEvent, c.previewRetention); // Dry run, nothing is deleted
 
 module.exports = router;
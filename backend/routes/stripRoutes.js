@@ -1,8 +1,53 @@
 const router = require("express").Router();
 const c = require("../controllers/stripController");
-router.post("/", c.uploadStrip);
-router.get("/", c.getStrips);
-router.delete("/all", c.deleteAllStrips); // Delete all strips route (must be before /:id)
-router.delete("/:id", c.deleteStrip);
-router.patch("/:id/mark-printed", c.markPrinted);
+const { requireAdmin, requireAdminDownload } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
+const { parseStripUpload } = require("../middleware/stripUpload");
+const { rateLimit, concurrencyLimit } = require("../middleware/rateLimit");
+const limits = require("../config/rateLimits");
+
+// IP and concurrency checks run before the upload body is read;
+// the per-booth check needs the event, so it runs after parsing
+const uploadIpLimit = rateLimit({
+  name: 'upload-ip',
+  limit: limits.perIp,
+  key: (req) => req.ip,
+  message: "❌ Too many uploads from this device. Please wait a moment and try again."
+});
+const uploadBoothLimit = rateLimit({
+  name: 'upload-booth',
+  limit: limits.perBooth,
+  key: (req) => (req.event ? String(req.event._id) : 'default'),
+  message: "❌ This booth is sending too many uploads. Please wait a moment and try again."
+});
+const uploadConcurrency = concurrencyLimit({
+  name: 'upload',
+  max: limits.maxConcurrent,
+  message: "❌ The server is busy with other uploads. Please try again in a few seconds."
+});
+const emailIpLimit = rateLimit({
+  name: 'email-ip',
+  limit: limits.emailPerIp,
+  key: (req) => req.ip,
+  message: "❌ Too many email requests. Please wait a moment and try again."
+});
+
+// Public: guests submit strips from the capture page
+router.post("/", uploadIpLimit, uploadConcurrency, parseStripUpload, resolveEvent, uploadBoothLimit, c.uploadStrip);
+router.get("/share/:shareId", c.getSharedStrip); // Guest share page
+router.post("/share/:shareId/email", emailIpLimit, c.emailSharedStrip);
+
+// Admin only
+router.get("/", requireAdmin, resolveEvent, c.getStrips);
+router.get("/export", requireAdminDownload, resolveEvent, c.exportStrips); // ZIP download, accepts ?token=
+router.delete("/all", requireAdmin, resolveEvent, c.deleteAllStrips); // Move all strips to the trash (must be before /:id)
+router.get("/trash", requireAdmin, resolveEvent, c.getTrash);
+router.post("/trash/restore", requireAdmin, resolveEvent, c.restoreTrash);
+router.delete("/trash", requireAdmin, resolveEvent, c.emptyTrash);
+router.delete("/trash/:id", requireAdmin, c.purgeStrip);
+router.post("/:id/restore", requireAdmin, c.restoreStrip);
+router.delete("/:id", requireAdmin, c.deleteStrip);
+router.patch("/:id/mark-printed", requireAdmin, c.markPrinted);
+router.patch("/:id/star", requireAdmin, c.starStrip);
+router.post("/:id/resend-email", requireAdmin, c.resendEmail);
 module.exports = router;
@@ -0,0 +1,16 @@
+const router = require("express").Router();
+const c = require("../controllers/templateController");
+const { requireAdmin } = require("../middleware/auth");
+const { resolveEvent } = require("../middleware/event");
+const { parseTemplateUpload } = require("../middleware/templateUpload");
+
+// The template library is managed from the admin dashboard only
+router.use(requireAdmin);
+
+router.get("/", resolveEvent, c.getTemplates);
+router.post("/", parseTemplateUpload, resolveEvent, c.uploadTemplate);
+router.patch("/:id", c.renameTemplate);
+router.post("/:id/activate", resolveEvent, c.activateTemplate);
+router.delete("/:id", c.deleteTemplate);
+
+module.exports = router;
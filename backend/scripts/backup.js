@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Backup and restore from the command line (see services/backup.js).
+ *
+ *   node scripts/backup.js export [file]                     write a backup (default: ./photobooth-backup_<date>.tar.gz)
+ *   node scripts/backup.js import <file> [--replace-settings]  restore a backup into this database
+ *
+ * Uses the same .env as the server (MONGODB_URI, storage driver settings).
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { connect, disconnect } = require("./db");
+const backup = require("../services/backup");
+
+const USAGE = `Usage:
+  node scripts/backup.js export [file]
+  node scripts/backup.js import <file> [--replace-settings]`;
+
+const exportBackup = async (file) => {
+  const target = path.resolve(file || backup.fileName());
+  const output = fs.createWriteStream(target);
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+  });
+
+  const counts = await backup.writeBackup(output);
+  await closed;
+
+  console.log(`💾 Wrote ${target}`);
+  console.log(`   ${counts.events} events, ${counts.templates} templates, ${counts.settings} settings, ${counts.strips} strips, ${counts.media} images`);
+  if (counts.mediaFailed > 0) {
+    console.warn(`⚠️ ${counts.mediaFailed} images could not be read and were left out`);
+  }
+};
+
+const importBackup = async (file, replaceSettings) => {
+  if (!file) {
+    throw new Error(`Missing backup file\n${USAGE}`);
+  }
+  const report = await backup.restoreBackup(fs.createReadStream(path.resolve(file)), { replaceSettings });
+
+  console.log(`💾 Restored ${file}`);
+  for (const collection of ['events', 'templates', 'settings', 'strips']) {
+    const { imported, skipped } = report[collection];
+    console.log(`   ${collection}: ${imported} imported, ${skipped} skipped`);
+  }
+  console.log(`   images: ${report.media.restored} restored${report.media.missing ? `, ${report.media.missing} missing (original URLs kept)` : ''}`);
+};
+
+const main = async () => {
+  const [command, ...args] = process.argv.slice(2);
+  const file = args.find((arg) => !arg.startsWith('--'));
+
+  if (command !== 'export' && command !== 'import') {
+    console.log(USAGE);
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await connect();
+  try {
+    if (command === 'export') {
+      await exportBackup(file);
+    } else {
+      await importBackup(file, args.includes('--replace-settings'));
+    }
+  } finally {
+    await disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,13 @@
+// MongoDB connection for the command line scripts, from the same .env as the server
+const mongoose = require("mongoose");
+
+exports.connect = async () => {
+  const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!mongoUri) {
+    throw new Error("MONGODB_URI not set in .env file");
+  }
+  mongoose.set('strictQuery', true);
+  await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 5000 });
+};
+
+exports.disconnect = () => mongoose.disconnect();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Compare the images in storage with the database (see services/storageReconcile.js).
+ *
+ *   node scripts/reconcile-storage.js           report orphaned files and records whose images are missing
+ *   node scripts/reconcile-storage.js --clean   also delete orphaned files, move strips without an image
+ *                                               to the trash and drop missing previews
+ *
+ * Uses the same .env as the server (MONGODB_URI, storage driver settings).
+ */
+require("dotenv").config();
+const { connect, disconnect } = require("./db");
+const { reconcile } = require("../services/storageReconcile");
+
+const MAX_LISTED = 20; // Per section; the totals are always complete
+
+const formatBytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const list = (items, format) => {
+  items.slice(0, MAX_LISTED).forEach((item) => console.log(`   - ${format(item)}`));
+  if (items.length > MAX_LISTED) {
+    console.log(`   ... and ${items.length - MAX_LISTED} more`);
+  }
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log('Usage: node scripts/reconcile-storage.js [--clean]');
+    return;
+  }
+  const clean = args.includes('--clean');
+
+  await connect();
+  try {
+    const report = await reconcile({ clean });
+
+    console.log(`🔍 ${report.assets.total} files (${formatBytes(report.assets.bytes)}) in ${report.storage} storage`);
+
+    const orphanBytes = report.orphans.reduce((sum, orphan) => sum + (orphan.bytes || 0), 0);
+    console.log(`🗂️ ${report.orphans.length} orphaned files (${formatBytes(orphanBytes)}) that no strip or template uses`);
+    list(report.orphans, (orphan) => `${orphan.id} (${orphan.createdAt ? orphan.createdAt.toISOString() : 'unknown date'})`);
+    if (report.recentUnreferenced > 0) {
+      console.log(`   ${report.recentUnreferenced} newer unused files were skipped - their uploads may still be running`);
+    }
+
+    console.log(`🔗 ${report.danglingStrips.length} strips with missing images`);
+    list(report.danglingStrips, (strip) => `${strip.id}${strip.deleted ? ' (in the trash)' : ''}: ${strip.missing.join(', ')}`);
+    console.log(`🔗 ${report.danglingTemplates.length} templates with missing images`);
+    list(report.danglingTemplates, (template) => `${template.id} "${template.name}": ${template.missing.join(', ')}`);
+    if (report.unmanagedStrips > 0) {
+      console.log(`ℹ️ ${report.unmanagedStrips} strips are stored outside ${report.storage} storage and were not checked`);
+    }
+
+    if (report.cleaned) {
+      const { orphansDeleted, stripsTrashed, previewsCleared } = report.cleaned;
+      console.log(`🧹 Deleted ${orphansDeleted} orphaned files, moved ${stripsTrashed} strips to the trash, cleared the previews of ${previewsCleared} strips`);
+      if (report.danglingTemplates.length > 0) {
+        console.log('   Templates with missing images are left for you to replace or delete in the dashboard');
+      }
+    } else if (report.orphans.length > 0 || report.danglingStrips.length > 0) {
+      console.log('Run again with --clean to fix these');
+    }
+  } finally {
+    await disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,14 +1,29 @@
 require("dotenv").config();
 const express = require("express");
-const cors = require("cors");
 const mongoose = require("mongoose");
 const stripRoutes = require("./routes/stripRoutes");
 const settingsRoutes = require("./routes/settingsRoutes");
 const healthRoutes = require("./routes/healthRoutes");
-
-// Configure body parser limits for handling photo uploads
-express.json({ limit: '10mb' });
-express.urlencoded({ limit: '10mb', extended: true });
+const authRoutes = require("./routes/authRoutes");
+const eventRoutes = require("./routes/eventRoutes");
+const printJobRoutes = require("./routes/printJobRoutes");
+const templateRoutes = require("./routes/templateRoutes");
+const liveRoutes = require("./routes/liveRoutes");
+const auditRoutes = require("./routes/auditRoutes");
+const analyticsRoutes = require("./routes/analyticsRoutes");
+const backupRoutes = require("./routes/backupRoutes");
+const storage = require("./storage");
+const mailer = require("./services/mailer");
+const trash = require("./services/trash");
+const retention = require("./services/retention");
+const { jsonBodyLimit } = require("./config/uploads");
+const { corsMiddleware } = require("./middleware/cors");
+const { requestId, requestLog } = require("./middleware/requestId");
+const Admin = require("./models/Admin");
+const Strip = require("./models/Strip");
+const Template = require("./models/Template");
+const { adminUsername, adminPassword } = require("./config/auth");
+const logger = require("./services/logger");
 
 // ✅ Fix: Set strictQuery AFTER mongoose import
 mongoose.set('strictQuery', true);
@@ -16,12 +31,12 @@ mongoose.set('strictQuery', true);
 // ✅ Check MONGODB_URI
 const mongoUri = process.env.MONGODB_URI || process.env.MONGO_URI;
 if (!mongoUri) {
-  console.error("❌ Error: MONGODB_URI not set in .env file");
+  logger.error("❌ Error: MONGODB_URI not set in .env file");
   process.exit(1);
 }
 
-console.log("🔍 Attempting to connect to MongoDB...");
-console.log("🔗 Connection string:", mongoUri.replace(/\/\/.*@/, '//***:***@')); // Hide credentials
+logger.info("🔍 Attempting to connect to MongoDB...");
+logger.info(`🔗 Connection string: ${mongoUri.replace(/\/\/.*@/, '//***:***@')}`); // Hide credentials
 
 // ✅ MongoDB Atlas Connection - Optimized for 1000+ concurrent users
 mongoose.connect(mongoUri, {
@@ -32,109 +47,61 @@ mongoose.connect(mongoUri, {
   socketTimeoutMS: 45000,               // Timeout per operation (default is 30s)
   connectTimeoutMS: 10000               // Connection timeout if Mongo is down
 })
-.then(() => console.log("✅ MongoDB connected successfully"))
+.then(async () => {
+  logger.info("✅ MongoDB connected successfully");
+  await Admin.ensureDefaultAdmin(adminUsername, adminPassword);
+  await Template.importLegacyTemplates();
+  await Strip.ensureShareIds();
+  await Strip.ensureStorageIds(storage);
+  await mailer.start();
+  await trash.start();
+  await retention.start();
+})
 .catch((err) => {
-  console.error("❌ MongoDB connection error:", err);
+  logger.error("❌ MongoDB connection error", err);
   process.exit(1);
 });
 
 // ✅ Initialize Express App
 const app = express();
 
-// 🚨 CRITICAL: PRIORITY CORS FIX - Must be FIRST (before all other middleware)
-app.use((req, res, next) => {
-  // Set CORS headers for ALL requests immediately
-  res.header('Access-Control-Allow-Origin', 'https://stripphotobooth11.netlify.app');
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin');
-
-  console.log(`🚨 EMERGENCY CORS applied for: ${req.headers.origin || 'no-origin'} -> ${req.method} ${req.path}`);
-
-  if (req.method === 'OPTIONS') {
-    console.log('🚨 EMERGENCY OPTIONS handled');
-    return res.status(200).end();
-  }
-
-  next();
-});
-
-// ✅ Local Development CORS Configuration
-app.use(cors({
-  origin: function (origin, callback) {
-    console.log('🔍 CORS check for origin:', origin);
-
-    // Allow requests with no origin (mobile apps, Postman, etc.)
-    if (!origin) {
-      console.log('✅ CORS: Allowing request with no origin');
-      return callback(null, true);
-    }
-
-    // Allow localhost and local development
-    if (origin.includes('localhost') || origin.includes('127.0.0.1') || origin.includes('192.168.')) {
-      console.log('✅ CORS: Allowing local development origin:', origin);
-      return callback(null, true);
-    }
-
-    // Allow Netlify deployment
-    if (origin === 'https://stripphotobooth11.netlify.app' || origin.includes('netlify.app')) {
-      console.log('✅ CORS: Allowing Netlify origin:', origin);
-      return callback(null, true);
-    }
-
-    console.log('❌ CORS: Rejecting origin:', origin);
-    return callback(new Error('Not allowed by CORS'));
-  },
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  optionsSuccessStatus: 200 // For legacy browser support
-}));
-
-app.use(express.json({ limit: '25mb' }));
-app.use(express.urlencoded({ extended: true, limit: '25mb' }));
-
-// ✅ Request logging
-app.use((req, _res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// ✅ UNIVERSAL CORS FIX - Works for ALL devices (iPhone + Android)
-app.use((req, res, next) => {
-  const origin = req.headers.origin;
-
-  // Allow your Netlify domain and localhost for testing
-  const allowedOrigins = [
-    'https://stripphotobooth11.netlify.app',
-    'http://localhost:3000',
-    'http://127.0.0.1:3000'
-  ];
-
-  if (allowedOrigins.includes(origin) || !origin) {
-    res.header('Access-Control-Allow-Origin', origin || '*');
-  }
+// Behind a reverse proxy (Render, nginx...), read the client IP from X-Forwarded-For.
+// The per-IP rate limits and the activity log depend on it.
+// TRUST_PROXY is a hop count or an Express trust proxy value such as "loopback".
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
-  res.header('Access-Control-Allow-Credentials', 'true');
-  res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin');
-  res.header('Access-Control-Max-Age', '86400'); // 24 hours
+// ✅ Request IDs and request logging
+app.use(requestId);
+app.use(requestLog);
 
-  console.log(`🌐 CORS headers set for origin: ${origin || 'no-origin'}`);
+// ✅ CORS for the origins in CORS_ORIGINS (see config/cors.js)
+app.use(corsMiddleware);
 
-  // Handle preflight OPTIONS requests
-  if (req.method === 'OPTIONS') {
-    console.log('✈️ Preflight OPTIONS request handled');
-    return res.status(200).end();
-  }
+// JSON bodies only need room for legacy base64 strip uploads;
+// binary uploads are parsed and limited in middleware/stripUpload.js
+app.use(express.json({ limit: jsonBodyLimit }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
-  next();
-});
+// ✅ Serve locally stored templates and strips (local storage driver only)
+if (storage.middleware) {
+  app.use(storage.publicPath, storage.middleware());
+}
 
 // ✅ API Routes
 app.use("/api/health", healthRoutes);
+app.use("/api/auth", authRoutes);
 app.use("/api/strips", stripRoutes);
 app.use("/api/settings", settingsRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/print-jobs", printJobRoutes);
+app.use("/api/templates", templateRoutes);
+app.use("/api/live", liveRoutes);
+app.use("/api/audit-logs", auditRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/backup", backupRoutes);
 
 // ✅ 404 Handler
 app.use('*', (_req, res) => {
@@ -143,7 +110,7 @@ app.use('*', (_req, res) => {
 
 // ✅ Global Error Handler
 app.use((error, _req, res, _next) => {
-  console.error('Global error handler:', error);
+  logger.error('❌ Unhandled request error', error);
   res.status(error.status || 500).json({
     message: error.message || "Internal server error",
     ...(process.env.NODE_ENV === 'development' && { stack: error.stack })
@@ -155,26 +122,26 @@ app.use((error, _req, res, _next) => {
 // ✅ Start Backend Server
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
-  console.log(`✅ Backend running on port ${PORT}`);
-  console.log(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`✅ Backend running on port ${PORT}`);
+  logger.info(`✅ Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
 // ✅ Graceful Shutdown
 const gracefulShutdown = (signal) => {
-  console.log(`\n${signal} received. Starting graceful shutdown...`);
+  logger.info(`${signal} received. Starting graceful shutdown...`);
 
   server.close(() => {
-    console.log('✅ HTTP server closed');
+    logger.info('✅ HTTP server closed');
 
     mongoose.connection.close(false, () => {
-      console.log('✅ MongoDB connection closed');
+      logger.info('✅ MongoDB connection closed');
       process.exit(0);
     });
   });
 
   // Force close after 10 seconds
   setTimeout(() => {
-    console.error('❌ Forced shutdown after timeout');
+    logger.error('❌ Forced shutdown after timeout');
     process.exit(1);
   }, 10000);
 };
@@ -184,11 +151,11 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
 // ✅ Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
+  logger.error('❌ Uncaught Exception', error);
   gracefulShutdown('UNCAUGHT_EXCEPTION');
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('❌ Unhandled Rejection', reason instanceof Error ? reason : { reason: String(reason) });
   gracefulShutdown('UNHANDLED_REJECTION');
 });
@@ -0,0 +1,38 @@
+/**
+ * Audit trail of admin actions (see models/AuditLog.js).
+ *
+ * Controllers call `record` after a change has been saved. Writing the entry
+ * never fails the request - a missing log line is better than a lost change.
+ * Background jobs pass `null` for `req` and are logged without an actor.
+ */
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+// Compare two plain objects on `fields`; returns { before, after } with only the changed ones
+exports.diff = (before, after, fields) => {
+  const changes = { before: {}, after: {} };
+  fields.forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field] ?? null;
+      changes.after[field] = after[field] ?? null;
+    }
+  });
+  return changes;
+};
+
+exports.record = async (req, { action, event = null, target = null, summary, before = null, after = null }) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: req && req.admin ? { id: req.admin.id, username: req.admin.username } : { id: null, username: null },
+      ip: (req && req.ip) || null,
+      event: event ? event._id || event : null,
+      target,
+      summary,
+      before,
+      after
+    });
+  } catch (error) {
+    logger.warn(`⚠️ Failed to write audit log for ${action}: ${error.message}`);
+  }
+};
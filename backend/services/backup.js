@@ -0,0 +1,385 @@
+/**
+ * Full backups: every Event, Template, Settings and Strip document plus the
+ * images they reference, in one .tar.gz archive.
+ *
+ *   backup.json      format marker, the documents and an index of the media files.
+ *                    Written first so a restore can plan before any image arrives.
+ *   media/<n>.<ext>  each referenced image once, however many documents use it
+ *
+ * A restore gives every document a new ID and rewrites the references between
+ * them (strip -> event, settings -> event and template). Documents that already
+ * exist are skipped: events by slug, templates by name and size, strips by share
+ * ID, and booth settings unless `replaceSettings` is set. Images are uploaded to
+ * the current storage driver, so a backup can move between Cloudinary and local disk.
+ */
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const tar = require('tar-stream');
+const Event = require('../models/Event');
+const Template = require('../models/Template');
+const Settings = require('../models/Settings');
+const Strip = require('../models/Strip');
+const storage = require('../storage');
+const { detectFormat, readImage } = require('./stripImage');
+const logger = require('./logger');
+
+const FORMAT = 'strip-photobooth-backup';
+const VERSION = 1;
+const MANIFEST_NAME = 'backup.json';
+const INSERT_BATCH_SIZE = 500;
+
+// Image fields of each collection, with the folder restored images go to when the original storage ID is unknown
+const MEDIA_FIELDS = {
+  templates: { url: 'strip-photobooth/templates', thumbnailUrl: 'strip-photobooth/templates/thumbnails' },
+  settings: { templateUrl: 'strip-photobooth/templates' },
+  strips: { imageUrl: 'strip-photobooth', thumbnailUrl: 'strip-photobooth/previews', mediumUrl: 'strip-photobooth/previews', template: 'strip-photobooth/templates' }
+};
+
+const CONTENT_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Errors caused by the archive itself, answered with a 400
+const backupError = (message) => {
+  const error = new Error(message);
+  error.isBackupError = true;
+  return error;
+};
+
+const isRemoteUrl = (value) => typeof value === 'string' && /^https?:\/\//.test(value);
+
+const idOf = (value) => (value ? String(value) : null);
+
+// Copy of a lean document without the fields Mongoose maintains
+const withoutInternals = ({ __v, ...doc }) => doc;
+
+exports.fileName = () =>
+  `photobooth-backup_${new Date().toISOString().replace(/\.\d+Z$/, '').replace(/[:T]/g, '-')}.tar.gz`;
+
+// Append an archive entry and wait until it is written, so only one image is held in memory at a time
+const appendEntry = (archive, data, options, signal) => new Promise((resolve, reject) => {
+  const done = (error) => {
+    archive.off('entry', done);
+    archive.off('error', done);
+    signal?.removeEventListener('abort', done);
+    if (error instanceof Error) reject(error);
+    else resolve();
+  };
+  archive.on('entry', done);
+  archive.on('error', done);
+  signal?.addEventListener('abort', done);
+  archive.append(data, options);
+});
+
+/**
+ * Write a backup archive to the writable stream `output`. Aborting `signal`
+ * stops the backup part-way (e.g. when an HTTP client goes away).
+ * Resolves to the counts written, or null when aborted.
+ */
+exports.writeBackup = async (output, { signal } = {}) => {
+  const [events, templates, settings, strips] = await Promise.all([
+    Event.find().sort({ createdAt: 1 }).lean(),
+    Template.find().sort({ createdAt: 1 }).lean(),
+    Settings.find().lean(),
+    Strip.find().sort({ timestamp: 1, _id: 1 }).lean()
+  ]);
+  const documents = { templates, settings, strips };
+
+  // One media entry per distinct URL, named after its original storage ID so a restore keeps the layout
+  const media = [];
+  const mediaUrls = new Set();
+  for (const [collection, fields] of Object.entries(MEDIA_FIELDS)) {
+    for (const doc of documents[collection]) {
+      for (const [field, folder] of Object.entries(fields)) {
+        const url = doc[field];
+        if (!isRemoteUrl(url) || mediaUrls.has(url)) continue;
+        mediaUrls.add(url);
+
+        const storageId = storage.idFromUrl(url);
+        const extension = path.extname(new URL(url).pathname) || '.jpg';
+        media.push({
+          file: `media/${media.length}${extension}`,
+          url,
+          folder: storageId ? path.posix.dirname(storageId).replace(/^\.$/, '') : folder,
+          name: storageId ? path.posix.basename(storageId, path.posix.extname(storageId)) : `restored_${Date.now()}_${media.length}`
+        });
+      }
+    }
+  }
+
+  const archive = archiver('tar', { gzip: true, gzipOptions: { level: 1 } });
+  archive.on('warning', (warning) => logger.warn('⚠️ Backup archive warning', warning));
+  archive.on('error', (error) => logger.error('❌ Backup archive error', error));
+  archive.pipe(output);
+
+  const counts = {
+    events: events.length,
+    templates: templates.length,
+    settings: settings.length,
+    strips: strips.length,
+    media: 0,
+    mediaFailed: 0
+  };
+
+  const manifest = {
+    format: FORMAT,
+    version: VERSION,
+    createdAt: new Date(),
+    storage: storage.name,
+    media,
+    events: events.map(withoutInternals),
+    templates: templates.map(withoutInternals),
+    settings: settings.map(withoutInternals),
+    strips: strips.map(withoutInternals)
+  };
+  await appendEntry(archive, Buffer.from(JSON.stringify(manifest)), { name: MANIFEST_NAME }, signal);
+
+  for (const entry of media) {
+    if (signal?.aborted) break;
+    try {
+      const image = await readImage(entry.url);
+      if (signal?.aborted) break;
+      await appendEntry(archive, image, { name: entry.file }, signal);
+      counts.media++;
+    } catch (error) {
+      // The document keeps its original URL on restore - one missing image should not spoil the backup
+      counts.mediaFailed++;
+      logger.warn(`⚠️ Leaving ${entry.url} out of the backup: ${error.message}`);
+    }
+  }
+
+  if (signal?.aborted) {
+    archive.abort();
+    return null;
+  }
+
+  await archive.finalize();
+  return counts;
+};
+
+const readEntry = async (entry) => {
+  const chunks = [];
+  for await (const chunk of entry) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Decide what to import and which IDs the imported documents get
+const planRestore = async (manifest, replaceSettings) => {
+  if (!manifest || manifest.format !== FORMAT) {
+    throw backupError('❌ This is not a photobooth backup');
+  }
+  if (manifest.version > VERSION) {
+    throw backupError(`❌ Backup format version ${manifest.version} is newer than this server supports (${VERSION})`);
+  }
+
+  const events = manifest.events || [];
+  const templates = manifest.templates || [];
+  const settings = manifest.settings || [];
+  const strips = manifest.strips || [];
+  const plan = {
+    eventIds: new Map(),
+    templates: new Map(),
+    insert: { events: [], templates: [], settings: [], strips: [] },
+    replaceSettingsIds: [],
+    mediaByFile: new Map((manifest.media || []).map((entry) => [entry.file, entry])),
+    neededUrls: new Set(),
+    restoredMedia: new Map(),
+    report: {
+      events: { imported: 0, skipped: 0 },
+      templates: { imported: 0, skipped: 0 },
+      settings: { imported: 0, skipped: 0 },
+      strips: { imported: 0, skipped: 0 },
+      media: { restored: 0, missing: 0 }
+    }
+  };
+  const { report, insert } = plan;
+
+  const existingEvents = await Event.find({ slug: { $in: events.map((e) => e.slug) } }).select('slug').lean();
+  const eventsBySlug = new Map(existingEvents.map((e) => [e.slug, e._id]));
+  for (const event of events) {
+    const existingId = eventsBySlug.get(event.slug);
+    if (existingId) {
+      plan.eventIds.set(idOf(event._id), existingId);
+      report.events.skipped++;
+    } else {
+      const _id = new mongoose.Types.ObjectId();
+      plan.eventIds.set(idOf(event._id), _id);
+      insert.events.push({ ...event, _id });
+    }
+  }
+
+  const existingTemplates = await Template.find({ name: { $in: templates.map((t) => t.name) } }).select('name bytes url').lean();
+  for (const template of templates) {
+    const existing = existingTemplates.find((t) => t.name === template.name && (t.bytes ?? null) === (template.bytes ?? null));
+    if (existing) {
+      plan.templates.set(idOf(template._id), { _id: existing._id, url: existing.url });
+      report.templates.skipped++;
+    } else {
+      const _id = new mongoose.Types.ObjectId();
+      plan.templates.set(idOf(template._id), { _id, url: template.url });
+      insert.templates.push({ ...template, _id });
+    }
+  }
+
+  const mappedSettings = settings.flatMap((doc) => {
+    const eventId = doc.event ? plan.eventIds.get(idOf(doc.event)) : null;
+    // Settings of an event that is not in the backup have nothing to belong to
+    if (doc.event && !eventId) {
+      report.settings.skipped++;
+      return [];
+    }
+    return [{ ...doc, _id: Settings.keyFor(eventId ? { _id: eventId } : null), event: eventId }];
+  });
+  const existingSettings = await Settings.find({ _id: { $in: mappedSettings.map((s) => s._id) } }).select('_id').lean();
+  const existingSettingsIds = new Set(existingSettings.map((s) => s._id));
+  for (const doc of mappedSettings) {
+    if (existingSettingsIds.has(doc._id)) {
+      if (!replaceSettings) {
+        report.settings.skipped++;
+        continue;
+      }
+      plan.replaceSettingsIds.push(doc._id);
+    }
+    insert.settings.push(doc);
+  }
+
+  const existingStrips = await Strip.find({ shareId: { $in: strips.map((s) => s.shareId).filter(Boolean) } }).select('shareId').lean();
+  const existingShareIds = new Set(existingStrips.map((s) => s.shareId));
+  for (const strip of strips) {
+    if (strip.shareId && existingShareIds.has(strip.shareId)) {
+      report.strips.skipped++;
+    } else {
+      insert.strips.push({ ...strip, _id: new mongoose.Types.ObjectId() });
+    }
+  }
+
+  // Only upload the images of documents that will actually be imported
+  for (const [collection, fields] of Object.entries(MEDIA_FIELDS)) {
+    for (const doc of insert[collection]) {
+      Object.keys(fields).forEach((field) => isRemoteUrl(doc[field]) && plan.neededUrls.add(doc[field]));
+    }
+  }
+
+  return plan;
+};
+
+// Insert the planned documents with their new IDs, pointing at the restored images
+const insertDocuments = async (plan) => {
+  const { insert, report, restoredMedia } = plan;
+  const restoredUrl = (url) => restoredMedia.get(url)?.url || url;
+  const restoredId = (url, fallback) => restoredMedia.get(url)?.id || fallback;
+
+  if (insert.events.length > 0) {
+    await Event.insertMany(insert.events);
+    report.events.imported = insert.events.length;
+  }
+
+  if (insert.templates.length > 0) {
+    await Template.insertMany(insert.templates.map((template) => ({
+      ...template,
+      url: restoredUrl(template.url),
+      storageId: restoredId(template.url, template.storageId),
+      thumbnailUrl: template.thumbnailUrl ? restoredUrl(template.thumbnailUrl) : null,
+      thumbnailStorageId: template.thumbnailUrl ? restoredId(template.thumbnailUrl, template.thumbnailStorageId) : null
+    })));
+    report.templates.imported = insert.templates.length;
+  }
+
+  if (insert.settings.length > 0) {
+    if (plan.replaceSettingsIds.length > 0) {
+      await Settings.deleteMany({ _id: { $in: plan.replaceSettingsIds } });
+    }
+    await Settings.insertMany(insert.settings.map((doc) => {
+      const template = doc.activeTemplate ? plan.templates.get(idOf(doc.activeTemplate)) : null;
+      return {
+        ...doc,
+        activeTemplate: template ? template._id : null,
+        templateUrl: template ? restoredUrl(template.url) : (doc.templateUrl ? restoredUrl(doc.templateUrl) : null),
+        templatePublicId: doc.templatePublicId ? restoredId(doc.templateUrl, doc.templatePublicId) : null
+      };
+    }));
+    report.settings.imported = insert.settings.length;
+  }
+
+  for (let i = 0; i < insert.strips.length; i += INSERT_BATCH_SIZE) {
+    const batch = insert.strips.slice(i, i + INSERT_BATCH_SIZE).map((strip) => ({
+      ...strip,
+      event: strip.event ? plan.eventIds.get(idOf(strip.event)) || null : null,
+      imageUrl: restoredUrl(strip.imageUrl),
+      storageId: restoredId(strip.imageUrl, strip.storageId),
+      thumbnailUrl: strip.thumbnailUrl ? restoredUrl(strip.thumbnailUrl) : null,
+      thumbnailStorageId: strip.thumbnailUrl ? restoredId(strip.thumbnailUrl, strip.thumbnailStorageId) : null,
+      mediumUrl: strip.mediumUrl ? restoredUrl(strip.mediumUrl) : null,
+      mediumStorageId: strip.mediumUrl ? restoredId(strip.mediumUrl, strip.mediumStorageId) : null,
+      template: isRemoteUrl(strip.template) ? restoredUrl(strip.template) : strip.template,
+      // Mail that was mid-send when the backup was taken goes back in the queue
+      email: strip.email?.status === 'sending' ? { ...strip.email, status: 'queued' } : strip.email
+    }));
+    await Strip.insertMany(batch);
+    report.strips.imported += batch.length;
+  }
+};
+
+/**
+ * Restore a backup from the readable stream `input` (the .tar.gz archive).
+ * Resolves to a report of imported and skipped documents per collection.
+ * Rejects with `isBackupError` when the archive is not a usable backup.
+ */
+exports.restoreBackup = async (input, { replaceSettings = false } = {}) => {
+  const extract = tar.extract();
+  const gunzip = zlib.createGunzip();
+  const unreadable = (error) => extract.destroy(error.isBackupError ? error : backupError(`❌ Could not read the backup archive: ${error.message}`));
+  input.on('error', unreadable);
+  gunzip.on('error', unreadable);
+  input.pipe(gunzip).pipe(extract);
+
+  let plan = null;
+  try {
+    for await (const entry of extract) {
+      const { name } = entry.header;
+
+      if (!plan) {
+        if (name !== MANIFEST_NAME) {
+          throw backupError(`❌ This is not a photobooth backup (${MANIFEST_NAME} must come first)`);
+        }
+        let manifest;
+        try {
+          manifest = JSON.parse((await readEntry(entry)).toString('utf8'));
+        } catch (error) {
+          throw backupError(`❌ ${MANIFEST_NAME} is damaged: ${error.message}`);
+        }
+        plan = await planRestore(manifest, replaceSettings);
+        continue;
+      }
+
+      const media = plan.mediaByFile.get(name);
+      if (!media || !plan.neededUrls.has(media.url)) {
+        entry.resume();
+        continue;
+      }
+
+      const buffer = await readEntry(entry);
+      const format = detectFormat(buffer);
+      if (!format) {
+        logger.warn(`⚠️ ${name} in the backup is not an image, keeping ${media.url}`);
+        continue;
+      }
+      const stored = await storage.put(buffer, { folder: media.folder, name: media.name, contentType: CONTENT_TYPES[format] });
+      plan.restoredMedia.set(media.url, stored);
+      plan.report.media.restored++;
+    }
+  } finally {
+    // Stop reading when the restore ends early
+    input.unpipe(gunzip);
+    input.destroy();
+    gunzip.destroy();
+  }
+
+  if (!plan) {
+    throw backupError('❌ The backup archive is empty');
+  }
+
+  plan.report.media.missing = [...plan.neededUrls].filter((url) => !plan.restoredMedia.has(url)).length;
+  await insertDocuments(plan);
+  return plan.report;
+};
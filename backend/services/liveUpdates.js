@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events hub for live dashboard and booth updates.
+ *
+ * Event types:
+ *   strip-created     { strip }              admins only
+ *   strip-printed     { strip }              admins only
+ *   strip-deleted     { id } | { ids } | { all, event } admins only (moved to the trash)
+ *   strip-restored    { ids }                admins only
+ *   settings-updated  { event }              everyone watching that booth
+ *
+ * Admin subscribers without an event see strip events for every event;
+ * settings updates only go to subscribers of the exact same booth.
+ */
+const HEARTBEAT_MS = 25000; // Keep proxies from closing idle connections
+
+const clients = new Set();
+
+const idOf = (event) => (event ? String(event._id || event) : null);
+
+const send = (client, type, data) => {
+  client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Open an SSE stream on `res` and keep it until the client disconnects
+exports.subscribe = (req, res, { event = null, isAdmin = false } = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, eventId: idOf(event), isAdmin };
+  clients.add(client);
+  send(client, 'ready', { event: client.eventId, admin: isAdmin });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+};
+
+// Strip events go to admins watching all events or the strip's event
+exports.publishStripEvent = (type, data, event) => {
+  const eventId = idOf(event);
+  clients.forEach((client) => {
+    if (client.isAdmin && (client.eventId === null || client.eventId === eventId)) {
+      send(client, type, data);
+    }
+  });
+};
+
+// Tell booths and dashboards showing these settings to reload them
+exports.publishSettingsUpdated = (event) => {
+  const eventId = idOf(event);
+  clients.forEach((client) => {
+    if (client.eventId === eventId) {
+      send(client, 'settings-updated', { event: eventId });
+    }
+  });
+};
+
+exports.clientCount = () => clients.size;
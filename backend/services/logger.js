@@ -0,0 +1,69 @@
+/**
+ * Application logger.
+ *
+ *   logger.error|warn|info|debug(message, meta)
+ *
+ * `meta` is an object of extra fields or an Error. Entries below LOG_LEVEL are
+ * dropped. Production writes one JSON object per line; development writes
+ * readable lines. Entries logged while handling a request carry its request ID
+ * (see middleware/requestId.js), however deep in the call stack they are made.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const { level, format } = require('../config/logging');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const context = new AsyncLocalStorage();
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  stack: error.stack
+});
+
+const fieldsOf = (meta) => {
+  if (meta === undefined || meta === null) return {};
+  if (meta instanceof Error) return { error: serializeError(meta) };
+  if (typeof meta !== 'object') return { detail: meta };
+  return Object.fromEntries(Object.entries(meta).map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+};
+
+const stringify = (value) => {
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return JSON.stringify({ unserializable: error.message });
+  }
+};
+
+const formatPretty = ({ time, level: entryLevel, msg, requestId, error, ...fields }) => {
+  const prefix = `${time} ${entryLevel.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''}`;
+  const extra = Object.keys(fields).length > 0 ? ` ${stringify(fields)}` : '';
+  return `${prefix} ${msg}${extra}${error ? `\n${error.stack || `${error.name}: ${error.message}`}` : ''}`;
+};
+
+const write = (entryLevel, message, meta) => {
+  if (LEVELS[entryLevel] > LEVELS[level]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: entryLevel,
+    msg: message,
+    ...context.getStore(),
+    ...fieldsOf(meta)
+  };
+  const line = format === 'json' ? stringify(entry) : formatPretty(entry);
+  (LEVELS[entryLevel] <= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+exports.error = (message, meta) => write('error', message, meta);
+exports.warn = (message, meta) => write('warn', message, meta);
+exports.info = (message, meta) => write('info', message, meta);
+exports.debug = (message, meta) => write('debug', message, meta);
+
+// Whether a level is logged, to skip building expensive debug output
+exports.isLevelEnabled = (entryLevel) => LEVELS[entryLevel] <= LEVELS[level];
+
+// Run `fn` with `fields` (e.g. { requestId }) added to every entry logged inside it
+exports.withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
@@ -0,0 +1,134 @@
+/**
+ * Guest email delivery over SMTP.
+ *
+ * The queue lives on the strips themselves (`strip.email`): a request marks the
+ * strip `queued`, and a single worker claims queued strips one at a time, sends
+ * them and records `sent`, or re-queues them with exponential backoff until
+ * MAIL_MAX_ATTEMPTS is reached (`failed`). Queued mail survives restarts.
+ */
+const nodemailer = require('nodemailer');
+const mailConfig = require('../config/mail');
+const Strip = require('../models/Strip');
+const Settings = require('../models/Settings');
+const logger = require('./logger');
+const { isAllowedOrigin } = require('../middleware/cors');
+
+const POLL_INTERVAL_MS = 15000;
+
+let transport = null;
+let processing = false;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport(mailConfig.smtp);
+  }
+  return transport;
+};
+
+// Replace {{placeholders}}, leaving unknown ones untouched
+const renderTemplate = (text, values) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+const deliver = async (strip) => {
+  const settings = await Settings.findById(Settings.keyFor(strip.event ? { _id: strip.event } : null));
+  const template = settings?.emailTemplate || Settings.DEFAULT_EMAIL_TEMPLATE;
+
+  const values = {
+    eventName: strip.eventName || 'our photobooth',
+    shareUrl: strip.email.shareUrl || '',
+    date: new Date(strip.timestamp).toLocaleDateString()
+  };
+
+  await getTransport().sendMail({
+    from: mailConfig.from,
+    to: strip.email.address,
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(template.body, values),
+    attachments: [{ filename: 'photo-strip.jpg', path: strip.imageUrl }]
+  });
+};
+
+// Send everything that is due; only one run at a time
+const processQueue = async () => {
+  if (!mailConfig.enabled || processing) return;
+  processing = true;
+
+  try {
+    for (;;) {
+      const strip = await Strip.findOneAndUpdate(
+        { 'email.status': 'queued', 'email.nextAttemptAt': { $lte: new Date() }, deletedAt: null },
+        { $set: { 'email.status': 'sending' }, $inc: { 'email.attempts': 1 } },
+        { sort: { 'email.nextAttemptAt': 1 }, new: true }
+      );
+      if (!strip) break;
+
+      try {
+        await deliver(strip);
+        await Strip.updateOne(
+          { _id: strip._id },
+          { $set: { 'email.status': 'sent', 'email.sentAt': new Date(), 'email.lastError': null } }
+        );
+        logger.info(`📧 Emailed strip ${strip._id} to ${strip.email.address}`);
+      } catch (error) {
+        const { attempts } = strip.email;
+        const giveUp = attempts >= mailConfig.maxAttempts;
+        const delaySeconds = mailConfig.retryBaseSeconds * 2 ** (attempts - 1);
+
+        await Strip.updateOne({ _id: strip._id }, {
+          $set: {
+            'email.status': giveUp ? 'failed' : 'queued',
+            'email.lastError': String(error.message).slice(0, 500),
+            'email.nextAttemptAt': new Date(Date.now() + delaySeconds * 1000)
+          }
+        });
+        logger.warn(`⚠️ Email for strip ${strip._id} failed (attempt ${attempts}/${mailConfig.maxAttempts})${giveUp ? ', giving up' : `, retrying in ${delaySeconds}s`}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error('❌ Email queue error', error);
+  } finally {
+    processing = false;
+  }
+};
+
+exports.enabled = mailConfig.enabled;
+
+// Link to the guest share page, from FRONTEND_URL or else the requesting page's
+// origin - but only an allowed one, since the Origin header is up to the client
+exports.shareUrlFor = (strip, req) => {
+  const { origin } = req.headers;
+  const base = mailConfig.appUrl || (origin && isAllowedOrigin(origin) ? origin : null);
+  return base ? `${base.replace(/\/$/, '')}/s/${strip.shareId}` : null;
+};
+
+// Put a strip's email in the queue (again) and try to send it straight away
+exports.queueStripEmail = async (strip, address, shareUrl) => {
+  strip.email = {
+    address,
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    shareUrl,
+    requestedAt: new Date(),
+    nextAttemptAt: new Date(),
+    sentAt: null
+  };
+  await strip.save();
+  processQueue();
+  return strip;
+};
+
+// Start the background worker once MongoDB is connected
+exports.start = async () => {
+  if (!mailConfig.enabled) {
+    logger.info('📭 Email delivery disabled (set SMTP_HOST to enable it)');
+    return;
+  }
+
+  // Mail that was being sent when the server stopped goes back in the queue
+  await Strip.updateMany({ 'email.status': 'sending' }, { $set: { 'email.status': 'queued' } });
+
+  setInterval(processQueue, POLL_INTERVAL_MS).unref();
+  logger.info(`📧 Email delivery enabled via ${mailConfig.smtp.host}:${mailConfig.smtp.port}`);
+  processQueue();
+};
@@ -0,0 +1,135 @@
+/**
+ * Retention policy: moves old strips to the trash on a schedule.
+ *
+ * Every booth (the default booth and each event) has its own policy in
+ * `Settings.retention` that only covers its own strips. Expired strips go to
+ * the trash rather than being deleted outright, so services/trash.js purges
+ * them later and a policy that was set too tight can still be undone.
+ */
+const Settings = require('../models/Settings');
+const Strip = require('../models/Strip');
+const trash = require('./trash');
+const live = require('./liveUpdates');
+const audit = require('./audit');
+const logger = require('./logger');
+const retentionConfig = require('../config/retention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let lastSweepAt = null;
+let sweeping = false;
+
+// Human readable rule for logs and the activity log
+const describe = (policy) => (policy.mode === 'age'
+  ? `taken more than ${policy.days} days ago`
+  : `${policy.days} days after the event ended`);
+
+/**
+ * Strips `policy` removes from the booth of `event` (null for the default booth).
+ * Returns { filter, cutoff }, or { filter: null, reason } when nothing is due.
+ * `cutoff` is the capture time strips must be older than (age), or the moment
+ * all of the event's strips expire (afterEventEnd).
+ */
+const policyFilter = (policy, event, now = new Date()) => {
+  if (!policy || policy.mode === 'off') {
+    return { filter: null, cutoff: null, reason: 'Retention is off' };
+  }
+
+  const filter = { event: event ? event._id : null, deletedAt: null };
+  if (policy.keepStarred) {
+    filter.starred = { $ne: true };
+  }
+
+  if (policy.mode === 'age') {
+    const cutoff = new Date(now.getTime() - policy.days * DAY_MS);
+    return { filter: { ...filter, timestamp: { $lt: cutoff } }, cutoff };
+  }
+
+  if (!event || !event.endsAt) {
+    return { filter: null, cutoff: null, reason: 'The event has no end date' };
+  }
+  const cutoff = new Date(event.endsAt.getTime() + policy.days * DAY_MS);
+  if (cutoff > now) {
+    return { filter: null, cutoff, reason: `Strips are kept until ${cutoff.toISOString()}` };
+  }
+  return { filter, cutoff };
+};
+
+/**
+ * Dry run: what `policy` would remove from the booth of `event` right now.
+ * Returns { cutoff, reason, strips, starredKept, sample, nextSweepAt }.
+ */
+exports.preview = async (policy, event) => {
+  const { filter, cutoff, reason = null } = policyFilter(policy, event);
+  const nextSweepAt = lastSweepAt ? new Date(lastSweepAt.getTime() + retentionConfig.sweepIntervalMs) : null;
+
+  if (!filter) {
+    return { cutoff, reason, strips: 0, starredKept: 0, sample: [], nextSweepAt };
+  }
+
+  const [strips, starredKept, sample] = await Promise.all([
+    Strip.countDocuments(filter),
+    policy.keepStarred ? Strip.countDocuments({ ...filter, starred: true }) : 0,
+    Strip.find(filter)
+      .sort({ timestamp: 1 })
+      .limit(retentionConfig.previewSampleSize)
+      .select('imageUrl thumbnailUrl timestamp printed')
+  ]);
+
+  return { cutoff, reason, strips, starredKept, sample, nextSweepAt };
+};
+
+// Apply one booth's policy; returns the number of strips moved to the trash
+const applyPolicy = async (policy, event) => {
+  const { filter, cutoff } = policyFilter(policy, event);
+  if (!filter) {
+    return 0;
+  }
+
+  const ids = await trash.trashStrips(filter);
+  if (ids.length === 0) {
+    return 0;
+  }
+
+  const where = event ? ` of "${event.name}"` : ' of the default booth';
+  logger.info(`🧹 Retention moved ${ids.length} strips${where} to the trash (${describe(policy)})`, {
+    event: event ? String(event._id) : null,
+    mode: policy.mode,
+    days: policy.days,
+    keepStarred: policy.keepStarred,
+    cutoff,
+    stripIds: ids.map(String)
+  });
+  live.publishStripEvent('strip-deleted', { ids }, event);
+  await audit.record(null, {
+    action: 'strip.retention',
+    event,
+    summary: `Retention moved ${ids.length} strips${where} to the trash (${describe(policy)})`,
+    after: { trashed: ids.length, mode: policy.mode, days: policy.days, keepStarred: policy.keepStarred }
+  });
+  return ids.length;
+};
+
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+  try {
+    const booths = await Settings.find({ 'retention.mode': { $in: ['age', 'afterEventEnd'] } }).populate('event', 'name endsAt');
+    for (const settings of booths) {
+      // Left over from a deleted event - never fall back to the default booth's strips
+      if (settings._id !== Settings.keyFor(null) && !settings.event) continue;
+      await applyPolicy(settings.retention, settings.event);
+    }
+  } catch (error) {
+    logger.error('❌ Retention sweep error', error);
+  } finally {
+    lastSweepAt = new Date();
+    sweeping = false;
+  }
+};
+
+// Start the background sweep once MongoDB is connected
+exports.start = () => {
+  setInterval(sweep, retentionConfig.sweepIntervalMs).unref();
+  return sweep();
+};
@@ -0,0 +1,127 @@
+/**
+ * Storage reconciliation: compares the objects in storage with the storage IDs
+ * recorded on strips, templates and settings.
+ *
+ * - Orphans are stored objects nothing points to, e.g. from an upload whose
+ *   strip was never saved. Recent ones are left alone - their upload may still
+ *   be in progress.
+ * - Dangling records point to objects that are no longer in storage.
+ *
+ * Run by scripts/reconcile-storage.js. Without `clean` it only reports.
+ */
+const Strip = require('../models/Strip');
+const Template = require('../models/Template');
+const Settings = require('../models/Settings');
+const storage = require('../storage');
+const trash = require('./trash');
+const logger = require('./logger');
+
+// Every object the app stores lives under this folder
+const STORAGE_PREFIX = 'strip-photobooth/';
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+const STRIP_FIELDS = { storageId: 'image', thumbnailStorageId: 'thumbnail', mediumStorageId: 'medium' };
+const TEMPLATE_FIELDS = { storageId: 'image', thumbnailStorageId: 'thumbnail' };
+
+// Names of the `fields` whose storage ID is set but missing from `stored`
+const missingFields = (doc, fields, stored) => Object.entries(fields)
+  .filter(([field]) => doc[field] && !stored.has(doc[field]))
+  .map(([, label]) => label);
+
+/**
+ * Returns {
+ *   storage, assets: { total, bytes },
+ *   orphans: [{ id, bytes, createdAt }], recentUnreferenced,
+ *   danglingStrips: [{ id, deleted, missing }], danglingTemplates: [{ id, name, missing }],
+ *   unmanagedStrips, cleaned: { orphansDeleted, stripsTrashed, previewsCleared } | null
+ * }
+ */
+exports.reconcile = async ({ clean = false, minAgeMs = ORPHAN_MIN_AGE_MS } = {}) => {
+  const [strips, templates, legacySettings] = await Promise.all([
+    Strip.find().select('storageId thumbnailStorageId mediumStorageId deletedAt').lean(),
+    Template.find().select('name storageId thumbnailStorageId').lean(),
+    Settings.find({ templatePublicId: { $ne: null } }).select('templatePublicId').lean()
+  ]);
+
+  const referenced = new Set();
+  strips.forEach((strip) => Object.keys(STRIP_FIELDS).forEach((field) => strip[field] && referenced.add(strip[field])));
+  templates.forEach((template) => Object.keys(TEMPLATE_FIELDS).forEach((field) => template[field] && referenced.add(template[field])));
+  legacySettings.forEach((settings) => referenced.add(settings.templatePublicId));
+
+  const report = {
+    storage: storage.name,
+    assets: { total: 0, bytes: 0 },
+    orphans: [],
+    recentUnreferenced: 0,
+    danglingStrips: [],
+    danglingTemplates: [],
+    unmanagedStrips: strips.filter((strip) => !strip.storageId).length,
+    cleaned: null
+  };
+
+  const stored = new Set();
+  const orphanBefore = Date.now() - minAgeMs;
+  for await (const asset of storage.list(STORAGE_PREFIX)) {
+    stored.add(asset.id);
+    report.assets.total++;
+    report.assets.bytes += asset.bytes || 0;
+    if (referenced.has(asset.id)) continue;
+
+    if (asset.createdAt && asset.createdAt.getTime() > orphanBefore) {
+      report.recentUnreferenced++;
+    } else {
+      report.orphans.push(asset);
+    }
+  }
+
+  strips.forEach((strip) => {
+    const missing = missingFields(strip, STRIP_FIELDS, stored);
+    if (missing.length > 0) {
+      report.danglingStrips.push({ id: String(strip._id), deleted: !!strip.deletedAt, missing });
+    }
+  });
+  templates.forEach((template) => {
+    const missing = missingFields(template, TEMPLATE_FIELDS, stored);
+    if (missing.length > 0) {
+      report.danglingTemplates.push({ id: String(template._id), name: template.name, missing });
+    }
+  });
+
+  if (clean) {
+    report.cleaned = await cleanUp(report);
+  }
+  return report;
+};
+
+// Delete orphans, trash strips whose image is gone and drop missing previews.
+// Dangling templates are only reported - a booth may still be using them.
+const cleanUp = async ({ orphans, danglingStrips }) => {
+  const cleaned = { orphansDeleted: 0, stripsTrashed: 0, previewsCleared: 0 };
+
+  for (const orphan of orphans) {
+    try {
+      await storage.delete(orphan.id);
+      cleaned.orphansDeleted++;
+    } catch (error) {
+      logger.warn(`⚠️ Failed to delete orphaned ${orphan.id}: ${error.message}`);
+    }
+  }
+
+  const withoutImage = danglingStrips.filter((strip) => strip.missing.includes('image'));
+  if (withoutImage.length > 0) {
+    const ids = await trash.trashStrips({ _id: { $in: withoutImage.map((strip) => strip.id) } });
+    cleaned.stripsTrashed = ids.length;
+  }
+
+  // The dashboard falls back to the full image without previews
+  for (const strip of danglingStrips.filter((s) => !s.missing.includes('image'))) {
+    const unset = {};
+    if (strip.missing.includes('thumbnail')) Object.assign(unset, { thumbnailUrl: null, thumbnailStorageId: null });
+    if (strip.missing.includes('medium')) Object.assign(unset, { mediumUrl: null, mediumStorageId: null });
+    await Strip.updateOne({ _id: strip.id }, unset);
+    cleaned.previewsCleared++;
+  }
+
+  logger.info(`🧹 Storage reconciliation deleted ${cleaned.orphansDeleted} orphaned files, trashed ${cleaned.stripsTrashed} strips without an image and cleared the previews of ${cleaned.previewsCleared} strips`);
+  return cleaned;
+};
@@ -0,0 +1,115 @@
+/**
+ * Verification and normalisation of uploaded strip images.
+ *
+ * Uploads are checked by their magic bytes (not the declared type), compared
+ * with the booth's configured strip size, then re-encoded to a JPEG at exactly
+ * that size. Re-encoding applies the EXIF orientation and drops all metadata
+ * (EXIF, GPS, XMP), so only pixels reach storage. Smaller previews for the
+ * admin grid are made from the normalised strip.
+ */
+const sharp = require('sharp');
+const storage = require('../storage');
+const { stripJpegQuality, stripAspectTolerance, maxInputPixels } = require('../config/uploads');
+
+// Preview sizes stored next to each strip (widths in px, height follows the strip)
+const PREVIEW_SIZES = {
+  thumbnail: { width: 160, quality: 75 },
+  medium: { width: 330, quality: 80 }
+};
+
+const SIGNATURES = [
+  { format: 'jpeg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'png', matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { format: 'webp', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Errors the controller turns into 4xx responses
+const rejection = (status, code, message) => {
+  const error = new Error(message);
+  error.isImageRejection = true;
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Image format from the file's first bytes, or null
+exports.detectFormat = (buffer) => SIGNATURES.find((s) => s.matches(buffer))?.format || null;
+
+// Bytes of a stored image, through the storage driver when the URL is one of ours
+exports.readImage = async (url) => {
+  const storageId = storage.idFromUrl(url);
+  if (storageId) {
+    return storage.get(storageId);
+  }
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Verify `buffer` and re-encode it to `layout.canvasWidth` x `layout.canvasHeight`.
+ * Resolves to { buffer, contentType, width, height }; rejects with an error that
+ * has `isImageRejection`, `status` and `code` when the upload is not acceptable.
+ */
+exports.normalizeStrip = async (buffer, layout) => {
+  if (!exports.detectFormat(buffer)) {
+    throw rejection(415, 'UNSUPPORTED_IMAGE', '❌ Unsupported image. Please upload a JPEG, PNG or WebP photo strip.');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: maxInputPixels }).metadata();
+  } catch (error) {
+    throw rejection(400, 'CORRUPT_IMAGE', '❌ The image could not be read. It may be damaged - please try again.');
+  }
+
+  // EXIF orientations 5-8 swap width and height once applied
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (!width || !height || width * height > maxInputPixels) {
+    throw rejection(413, 'IMAGE_TOO_LARGE', '❌ The image has too many pixels.');
+  }
+
+  const { canvasWidth, canvasHeight } = layout;
+  const expectedRatio = canvasWidth / canvasHeight;
+  if (Math.abs(width / height - expectedRatio) / expectedRatio > stripAspectTolerance) {
+    throw rejection(422, 'WRONG_DIMENSIONS',
+      `❌ The strip is ${width}×${height}px, but this booth prints ${canvasWidth}×${canvasHeight}px strips. Please reload the page and try again.`);
+  }
+  if (width < canvasWidth / 2) {
+    throw rejection(422, 'IMAGE_TOO_SMALL',
+      `❌ The strip is only ${width}×${height}px - at least ${Math.ceil(canvasWidth / 2)}px wide is needed to print it.`);
+  }
+
+  try {
+    const output = await sharp(buffer, { limitInputPixels: maxInputPixels })
+      .rotate() // Apply the EXIF orientation before the metadata is dropped
+      .resize(canvasWidth, canvasHeight, { fit: 'fill' })
+      .flatten({ background: '#ffffff' }) // Transparent PNG areas print white
+      .jpeg({ quality: stripJpegQuality, chromaSubsampling: '4:4:4' })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: output.data,
+      contentType: 'image/jpeg',
+      width: output.info.width,
+      height: output.info.height
+    };
+  } catch (error) {
+    throw rejection(400, 'CORRUPT_IMAGE', '❌ The image could not be processed. It may be damaged - please try again.');
+  }
+};
+
+exports.PREVIEW_SIZES = PREVIEW_SIZES;
+
+// Scaled-down JPEG copies of a normalised strip: { thumbnail: Buffer, medium: Buffer }
+exports.createPreviews = async (buffer) => {
+  const entries = await Promise.all(Object.entries(PREVIEW_SIZES).map(async ([size, { width, quality }]) => [
+    size,
+    await sharp(buffer).resize({ width }).jpeg({ quality, mozjpeg: true }).toBuffer()
+  ]));
+  return Object.fromEntries(entries);
+};
@@ -0,0 +1,77 @@
+/**
+ * The strip trash and permanent deletion of trashed strips.
+ *
+ * Deleting a strip only sets `deletedAt`; this module removes the stored image,
+ * the document and its print jobs, either when an admin empties the trash or
+ * from an hourly sweep once TRASH_PURGE_DAYS have passed.
+ */
+const Strip = require('../models/Strip');
+const PrintJob = require('../models/PrintJob');
+const storage = require('../storage');
+const trashConfig = require('../config/trash');
+const logger = require('./logger');
+
+// Move the strips matching `filter` to the trash with one shared timestamp; returns their IDs
+exports.trashStrips = async (filter) => {
+  const ids = (await Strip.find({ ...filter, deletedAt: null }).select('_id')).map((s) => s._id);
+  if (ids.length === 0) {
+    return ids;
+  }
+
+  await Strip.updateMany({ _id: { $in: ids }, deletedAt: null }, { deletedAt: new Date() });
+  // Nothing in the trash should come out of the printer
+  await PrintJob.deleteMany({ strip: { $in: ids }, status: { $in: ['queued', 'failed'] } });
+  return ids;
+};
+
+// Purge the trashed strips matching `filter`; returns { stripsDeleted, imagesDeleted }
+exports.purgeStrips = async (filter) => {
+  const strips = await Strip.find({ deletedAt: { $ne: null }, ...filter })
+    .select('storageId thumbnailStorageId mediumStorageId');
+  let imagesDeleted = 0;
+
+  for (const strip of strips) {
+    if (strip.storageId) {
+      try {
+        await storage.delete(strip.storageId);
+        imagesDeleted++;
+      } catch (error) {
+        logger.warn(`⚠️ Failed to delete image from storage: ${error.message}`);
+      }
+    }
+
+    // Previews are best effort - they are only useful alongside the strip
+    for (const previewId of [strip.thumbnailStorageId, strip.mediumStorageId].filter(Boolean)) {
+      await storage.delete(previewId).catch((error) => logger.warn(`⚠️ Failed to delete strip preview: ${error.message}`));
+    }
+  }
+
+  const ids = strips.map((s) => s._id);
+  const { deletedCount } = await Strip.deleteMany({ _id: { $in: ids } });
+  await PrintJob.deleteMany({ strip: { $in: ids } });
+
+  return { stripsDeleted: deletedCount, imagesDeleted };
+};
+
+// When a strip deleted now will be purged
+exports.purgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + trashConfig.purgeAfterDays * 24 * 60 * 60 * 1000);
+
+const sweep = async () => {
+  try {
+    const cutoff = new Date(Date.now() - trashConfig.purgeAfterDays * 24 * 60 * 60 * 1000);
+    const { stripsDeleted, imagesDeleted } = await exports.purgeStrips({ deletedAt: { $lte: cutoff } });
+    if (stripsDeleted > 0) {
+      logger.info(`🗑️ Purged ${stripsDeleted} strips (${imagesDeleted} images) older than ${trashConfig.purgeAfterDays} days from the trash`);
+    }
+  } catch (error) {
+    logger.error('❌ Trash purge error', error);
+  }
+};
+
+// Start the background sweep once MongoDB is connected
+exports.start = () => {
+  setInterval(sweep, trashConfig.sweepIntervalMs).unref();
+  logger.info(`🗑️ Deleted strips are kept in the trash for ${trashConfig.purgeAfterDays} days`);
+  return sweep();
+};
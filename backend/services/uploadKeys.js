@@ -0,0 +1,67 @@
+/**
+ * Idempotent strip uploads.
+ *
+ * The booth sends an `Idempotency-Key` header with each capture session. The
+ * first request with a key claims it; a repeat (e.g. a retry after a timeout
+ * the server had in fact handled) gets the strip that request saved instead of
+ * creating a duplicate. Keys expire after UPLOAD_KEY_TTL_HOURS.
+ */
+const UploadKey = require('../models/UploadKey');
+const Strip = require('../models/Strip');
+const { uploadKeyTtlMs } = require('../config/uploads');
+
+// A claim this old belongs to a request that died without finishing
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+exports.isValidKey = (key) => KEY_PATTERN.test(key);
+
+const expiry = (now) => new Date(now.getTime() + uploadKeyTtlMs);
+
+/**
+ * Claim `key` for a new upload. Resolves to one of
+ *   { claimed: true }     go ahead, then call complete() or release()
+ *   { strip }             the key was used before - the strip that upload created
+ *   { inProgress: true }  another request with this key is still being processed
+ */
+exports.claim = async (key) => {
+  const now = new Date();
+  // MongoDB's TTL monitor only runs once a minute
+  await UploadKey.deleteOne({ key, expiresAt: { $lte: now } });
+
+  try {
+    await UploadKey.create({ key, claimedAt: now, expiresAt: expiry(now) });
+    return { claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await UploadKey.findOne({ key });
+  if (!existing) {
+    // Released between the two queries - let the client try again
+    return { inProgress: true };
+  }
+
+  if (existing.strip) {
+    const strip = await Strip.findOne({ _id: existing.strip, deletedAt: null });
+    if (strip) {
+      return { strip };
+    }
+    // The strip has been trashed or purged since; the key is free again
+  } else if (now - existing.claimedAt < STALE_CLAIM_MS) {
+    return { inProgress: true };
+  }
+
+  // Take the key over; the claimedAt condition lets only one request win
+  const { modifiedCount } = await UploadKey.updateOne(
+    { _id: existing._id, claimedAt: existing.claimedAt },
+    { strip: null, claimedAt: now, expiresAt: expiry(now) }
+  );
+  return modifiedCount > 0 ? { claimed: true } : { inProgress: true };
+};
+
+// The upload was saved as `strip`
+exports.complete = (key, strip) => UploadKey.updateOne({ key }, { strip: strip._id });
+
+// The upload failed - the next request with this key starts over
+exports.release = (key) => UploadKey.deleteOne({ key, strip: null });
@@ -0,0 +1,101 @@
+const cloudinary = require("../config/cloudinary");
+
+const REQUIRED_ENV = ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'];
+const LIST_PAGE_SIZE = 500; // Largest page the Admin API returns
+
+// Mark errors coming from the storage backend so controllers can answer with a storage error
+const storageError = (error) => {
+  error.isStorageError = true;
+  return error;
+};
+
+/**
+ * Cloudinary storage driver.
+ * Object IDs are Cloudinary public IDs, e.g. "strip-photobooth/strip_1700000000000".
+ */
+module.exports = function createCloudinaryStorage() {
+  const missing = REQUIRED_ENV.filter((key) => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`Cloudinary environment variables not set: ${missing.join(', ')}`);
+  }
+
+  return {
+    name: 'cloudinary',
+
+    // Upload a Buffer or data URL; returns { id, url, bytes }
+    async put(data, { folder, name, uploadOptions = {} } = {}) {
+      const options = {
+        folder,
+        public_id: name,
+        resource_type: 'image',
+        ...uploadOptions
+      };
+
+      try {
+        const result = Buffer.isBuffer(data)
+          ? await new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(options, (error, uploaded) => (
+              error ? reject(error) : resolve(uploaded)
+            ));
+            stream.end(data);
+          })
+          : await cloudinary.uploader.upload(data, options);
+
+        return { id: result.public_id, url: result.secure_url, bytes: result.bytes };
+      } catch (error) {
+        throw storageError(error);
+      }
+    },
+
+    // Download an object's bytes
+    async get(id) {
+      const response = await fetch(this.url(id));
+      if (!response.ok) {
+        throw storageError(new Error(`Failed to download ${id} from Cloudinary (HTTP ${response.status})`));
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(id) {
+      try {
+        await cloudinary.uploader.destroy(id);
+      } catch (error) {
+        throw storageError(error);
+      }
+    },
+
+    url(id) {
+      return cloudinary.url(id, { secure: true, resource_type: 'image' });
+    },
+
+    // Page through the uploaded images with the Admin API (counts against its hourly rate limit)
+    async *list(prefix) {
+      let cursor;
+      do {
+        let page;
+        try {
+          page = await cloudinary.api.resources({
+            type: 'upload',
+            resource_type: 'image',
+            prefix,
+            max_results: LIST_PAGE_SIZE,
+            next_cursor: cursor
+          });
+        } catch (error) {
+          throw storageError(error);
+        }
+        for (const resource of page.resources) {
+          yield { id: resource.public_id, bytes: resource.bytes, createdAt: new Date(resource.created_at) };
+        }
+        cursor = page.next_cursor;
+      } while (cursor);
+    },
+
+    // Recover the public ID from a Cloudinary delivery URL
+    // e.g. https://res.cloudinary.com/x/image/upload/v123/strip-photobooth/strip_1.jpg -> strip-photobooth/strip_1
+    idFromUrl(url) {
+      const match = String(url || '').match(/\/upload\/(?:[^/]+\/)*?(?:v\d+\/)?([^?#]+?)(?:\.[a-z0-9]+)?(?:[?#].*)?$/i);
+      return match ? match[1] : null;
+    }
+  };
+};
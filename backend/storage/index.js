@@ -0,0 +1,42 @@
+const createCloudinaryStorage = require("./cloudinaryStorage");
+const createLocalDiskStorage = require("./localDiskStorage");
+const logger = require("../services/logger");
+
+/**
+ * Storage backend used for templates and strips.
+ *
+ * Every driver implements:
+ *   put(data, { folder, name, contentType, uploadOptions }) -> { id, url, bytes }
+ *     (data is a Buffer or data URL; uploadOptions are passed to Cloudinary only)
+ *   get(id) -> Buffer
+ *   delete(id)
+ *   url(id) -> public URL
+ *   idFromUrl(url) -> id or null
+ *   list(prefix) -> async iterable of { id, bytes, createdAt } for every object whose ID starts with prefix
+ *
+ * Select with STORAGE_DRIVER=cloudinary|local. Defaults to Cloudinary when its
+ * credentials are set, otherwise to the local disk.
+ */
+const drivers = {
+  cloudinary: createCloudinaryStorage,
+  local: createLocalDiskStorage
+};
+
+const driverName = (process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+
+if (!drivers[driverName]) {
+  logger.error(`❌ Error: Unknown STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  process.exit(1);
+}
+
+let storage;
+try {
+  storage = drivers[driverName]();
+} catch (error) {
+  logger.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+logger.info(`✅ Storage driver configured: ${storage.name}`);
+module.exports = storage;
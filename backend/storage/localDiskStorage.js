@@ -0,0 +1,128 @@
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif'
+};
+
+// Split a data URL into its mime type and decoded bytes
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match) {
+    throw new Error('Invalid data URL');
+  }
+  const [, contentType, isBase64, payload] = match;
+  return {
+    contentType,
+    buffer: isBase64 ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload))
+  };
+};
+
+/**
+ * Local filesystem storage driver - lets a booth run fully offline on a laptop.
+ * Object IDs are paths relative to the storage directory, e.g. "strip-photobooth/strip_1700000000000.jpg".
+ * Files are served by Express under `publicPath` (see server.js).
+ */
+module.exports = function createLocalDiskStorage({
+  rootDir = process.env.STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+  publicBaseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`,
+  publicPath = '/media'
+} = {}) {
+  const root = path.resolve(rootDir);
+
+  // Resolve an object ID to a file path, refusing anything outside the storage directory
+  const resolveId = (id) => {
+    const filePath = path.resolve(root, String(id || ''));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage ID: ${id}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    rootDir: root,
+    publicPath,
+
+    // Write a Buffer or data URL to disk; returns { id, url, bytes }
+    async put(data, { folder = '', name, contentType } = {}) {
+      let buffer = data;
+      if (!Buffer.isBuffer(data)) {
+        const decoded = decodeDataUrl(data);
+        buffer = decoded.buffer;
+        contentType = contentType || decoded.contentType;
+      }
+
+      const id = path.posix.join(folder, `${name || Date.now()}${EXTENSIONS[contentType] || '.jpg'}`);
+      const filePath = resolveId(id);
+
+      try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer);
+      } catch (error) {
+        error.isStorageError = true;
+        throw error;
+      }
+
+      return { id, url: this.url(id), bytes: buffer.length };
+    },
+
+    get(id) {
+      return fs.readFile(resolveId(id));
+    },
+
+    async delete(id) {
+      try {
+        await fs.unlink(resolveId(id));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url(id) {
+      return `${publicBaseUrl.replace(/\/$/, '')}${publicPath}/${id}`;
+    },
+
+    idFromUrl(url) {
+      const marker = `${publicPath}/`;
+      const index = String(url || '').indexOf(marker);
+      return index === -1 ? null : decodeURIComponent(url.slice(index + marker.length).split(/[?#]/)[0]);
+    },
+
+    // Walk the storage directory; IDs use forward slashes on every platform
+    async *list(prefix = '') {
+      const walk = async function* (dir) {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+        for (const entry of entries) {
+          const filePath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            yield* walk(filePath);
+          } else if (entry.isFile()) {
+            const id = path.relative(root, filePath).split(path.sep).join('/');
+            if (id.startsWith(prefix)) {
+              const stats = await fs.stat(filePath);
+              yield { id, bytes: stats.size, createdAt: stats.mtime };
+            }
+          }
+        }
+      };
+      yield* walk(root);
+    },
+
+    // Express middleware serving the stored files
+    middleware() {
+      return express.static(root, { maxAge: '1d', fallthrough: false });
+    }
+  };
+};
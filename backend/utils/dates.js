@@ -0,0 +1,6 @@
+// Parse a date query parameter: null when it is missing, undefined when it is not a valid date
+exports.parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
@@ -1,6 +1,7 @@
 import CapturePage from "./components/CapturePage";
 import AdminDashboard from "./components/AdminDashboard";
 import ErrorBoundary from "./components/ErrorBoundary";
+import SharePage from "./components/SharePage";
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import "./print.css";
 
@@ -10,7 +11,9 @@ function App(){
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<CapturePage/>}/>
+          <Route path="/e/:slug" element={<CapturePage/>}/>
           <Route path="/admin" element={<AdminDashboard/>}/>
+          <Route path="/s/:shareId" element={<SharePage/>}/>
         </Routes>
       </BrowserRouter>
     </ErrorBoundary>
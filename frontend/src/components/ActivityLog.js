@@ -0,0 +1,170 @@
+import { useEffect, useState, useCallback } from "react";
+import adminApi from "../utils/adminApi";
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { action: '', actor: '', from: '', to: '' };
+const inputClass = "px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm";
+
+const ACTION_STYLES = {
+  strip: 'bg-blue-500',
+  settings: 'bg-purple-500',
+  template: 'bg-pink-500',
+  event: 'bg-emerald-500',
+  backup: 'bg-amber-500'
+};
+
+// Destructive actions stand out in the list
+const isDestructive = (action) => /delete|purge|empty-trash/.test(action);
+
+const formatValue = (value) => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// Before/after table for the fields an action changed
+function Changes({ before, after }) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  if (fields.length === 0) return null;
+
+  return (
+    <details className="mt-2">
+      <summary className="text-white/60 text-xs cursor-pointer hover:text-white">Show changes</summary>
+      <table className="mt-2 w-full text-xs text-left table-fixed">
+        <thead>
+          <tr className="text-white/50">
+            <th className="w-1/5 pr-2 font-medium">Field</th>
+            <th className="w-2/5 pr-2 font-medium">Before</th>
+            <th className="w-2/5 font-medium">After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map(field => (
+            <tr key={field} className="align-top border-t border-white/10">
+              <td className="py-1 pr-2 text-white/80">{field}</td>
+              <td className="py-1 pr-2 text-red-200 break-all">{before && field in before ? formatValue(before[field]) : '—'}</td>
+              <td className="py-1 text-green-200 break-all">{after && field in after ? formatValue(after[field]) : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+export default function ActivityLog({ selectedEventId, onNotify }) {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const buildParams = useCallback((cursor) => {
+    const params = { limit: PAGE_SIZE };
+    if (selectedEventId) params.event = selectedEventId;
+    if (filters.action) params.action = filters.action;
+    if (filters.actor.trim()) params.actor = filters.actor.trim();
+    // Date inputs are local calendar days - include the whole "to" day
+    if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    if (cursor) params.cursor = cursor;
+    return params;
+  }, [selectedEventId, filters]);
+
+  const loadEntries = useCallback(async (cursor = null) => {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/api/audit-logs', { params: buildParams(cursor) });
+      setEntries(prev => (cursor ? [...prev, ...res.data.entries] : res.data.entries));
+      setNextCursor(res.data.nextCursor);
+      setActions(res.data.actions);
+    } catch (error) {
+      onNotify({ type: 'error', message: `❌ Failed to load activity: ${error.response?.data?.message || error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams, onNotify]);
+
+  // Reload from the first page when the filters change (debounced for the actor box)
+  useEffect(() => {
+    const timer = setTimeout(() => loadEntries(), 300);
+    return () => clearTimeout(timer);
+  }, [loadEntries]);
+
+  const update = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+      <div className="flex items-center gap-3 mb-4">
+        <h3 className="flex-1 text-lg sm:text-xl font-bold text-white">📜 Activity</h3>
+        <button
+          onClick={() => loadEntries()}
+          disabled={loading}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-lg text-white text-sm disabled:opacity-50"
+          title="Refresh activity"
+        >
+          🔄
+        </button>
+      </div>
+
+      <div className="mb-4 grid grid-cols-2 lg:grid-cols-5 gap-2 sm:gap-3 items-center">
+        <select value={filters.action} onChange={(e) => update('action', e.target.value)} className={`${inputClass} col-span-2 lg:col-span-1`}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={filters.actor}
+          onChange={(e) => update('actor', e.target.value)}
+          placeholder="👤 Admin username"
+          className={`${inputClass} col-span-2 lg:col-span-1 placeholder-white/40`}
+        />
+        <input type="date" value={filters.from} onChange={(e) => update('from', e.target.value)} className={inputClass} title="From" />
+        <input type="date" value={filters.to} onChange={(e) => update('to', e.target.value)} className={inputClass} title="To" />
+        <button
+          onClick={() => setFilters(EMPTY_FILTERS)}
+          className="col-span-2 lg:col-span-1 px-3 py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm"
+        >
+          ✕ Clear filters
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-white/60 text-sm">{loading ? 'Loading...' : 'No activity recorded yet.'}</p>
+      ) : (
+        <ul className="space-y-2">
+          {entries.map(entry => (
+            <li
+              key={entry._id}
+              className={`p-3 rounded-xl border ${isDestructive(entry.action) ? 'bg-red-500/10 border-red-400/30' : 'bg-white/5 border-white/10'}`}
+            >
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className={`px-2 py-0.5 rounded text-xs font-semibold text-white ${ACTION_STYLES[entry.action.split('.')[0]] || 'bg-gray-500'}`}>
+                  {entry.action}
+                </span>
+                <span className="text-white font-medium">{entry.summary}</span>
+              </div>
+              <p className="mt-1 text-white/50 text-xs">
+                {new Date(entry.createdAt).toLocaleString()}
+                {' · '}👤 {entry.actor?.username || 'system'}
+                {entry.ip && ` · ${entry.ip}`}
+                {entry.event?.name && ` · 🎉 ${entry.event.name}`}
+              </p>
+              <Changes before={entry.before} after={entry.after} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && (
+        <div className="mt-4 text-center">
+          <button
+            onClick={() => loadEntries(nextCursor)}
+            disabled={loading}
+            className="px-4 py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,23 +1,97 @@
-import { useEffect, useState, useCallback } from "react";
-import axios from "axios";
-import PrintStrip from "./PrintStrip";
+import { useEffect, useState, useCallback, useRef } from "react";
+import AdminLogin from "./AdminLogin";
+import EventSwitcher from "./EventSwitcher";
+import LayoutEditor from "./LayoutEditor";
+import PrintQueue from "./PrintQueue";
+import StripFilters, { DEFAULT_STRIP_FILTERS, stripFilterParams } from "./StripFilters";
+import TemplateLibrary from "./TemplateLibrary";
+import TrashBin from "./TrashBin";
+import ActivityLog from "./ActivityLog";
+import StatsView from "./StatsView";
+import BackupPanel from "./BackupPanel";
+import RetentionSettings from "./RetentionSettings";
+import { DEFAULT_LAYOUT, normalizeLayout } from "../utils/stripLayout";
+import { subscribeLiveUpdates, playChime } from "../utils/liveUpdates";
+import adminApi, { API_BASE_URL, getSession, clearSession, onUnauthorized } from "../utils/adminApi";
+
+const PAGE_SIZE = 24;
+const EMAIL_STATUS_STYLES = {
+  queued: 'text-blue-300',
+  sending: 'text-blue-300',
+  sent: 'text-green-300',
+  failed: 'text-red-300'
+};
+
+// Let the browser pick the smallest preview that fills the card; printing and downloads use imageUrl
+const stripSrcSet = (strip) => (strip.thumbnailUrl
+  ? [`${strip.thumbnailUrl} 160w`, strip.mediumUrl && `${strip.mediumUrl} 330w`, `${strip.imageUrl} 660w`].filter(Boolean).join(', ')
+  : undefined);
+
+const DEFAULT_RETENTION = { mode: 'off', days: 30, keepStarred: true };
+
+const EMPTY_PAGE = { nextCursor: null, hasMore: false, total: 0, counts: { all: 0, printed: 0, pending: 0 } };
 
 export default function AdminDashboard() {
-  const [auth, setAuth] = useState(true); // Always authenticated - bypass login
+  const [session, setSession] = useState(getSession);
+  const [loginMessage, setLoginMessage] = useState(null);
+  const auth = !!session;
   const [strips, setStrips] = useState([]);
+  const stripsRef = useRef([]); // Latest strips for live update handlers
+  const [page, setPage] = useState(EMPTY_PAGE);
+  const [filters, setFilters] = useState(DEFAULT_STRIP_FILTERS);
+  const [exportManifest, setExportManifest] = useState(true); // Add manifest.csv to ZIP exports
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadMoreRef = useRef(null); // Sentinel below the grid for infinite scroll
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [printingStrip, setPrintingStrip] = useState(null);
+  const [activeTab, setActiveTab] = useState('strips');
   const [notification, setNotification] = useState(null);
   const [settings, setSettings] = useState({
-    template: null // Template image only
+    template: null, // Template image
+    layout: DEFAULT_LAYOUT, // Photo box positions on the strip
+    shareQrSeconds: 30, // How long guests see the share QR code
+    emailTemplate: { subject: '', body: '' }, // Email sent to guests
+    retention: DEFAULT_RETENTION, // Automatic cleanup of old strips
+    emailEnabled: false // SMTP configured on the backend
   });
   const [showSettings, setShowSettings] = useState(false);
+  const [selectedEventId, setSelectedEventId] = useState(() => localStorage.getItem('adminSelectedEvent') || null);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [newStripCount, setNewStripCount] = useState(0); // Live strips not shown in the current view
+  const [soundOn, setSoundOn] = useState(() => localStorage.getItem('adminLiveSound') !== 'off');
+
+  // Scope strip and settings requests to the selected event
+  const eventParams = selectedEventId ? { event: selectedEventId } : undefined;
+
+  const selectEvent = useCallback((event) => {
+    if (event) {
+      localStorage.setItem('adminSelectedEvent', event._id);
+    } else {
+      localStorage.removeItem('adminSelectedEvent');
+    }
+    setSelectedEventId(event ? event._id : null);
+  }, []);
 
-  // Fallback API URL if environment variable is not set
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+  const logout = useCallback((message = null) => {
+    clearSession();
+    setSession(null);
+    setStrips([]);
+    setLoginMessage(message);
+  }, []);
 
-  // Login bypassed - direct admin access
+  // Send the admin back to the login screen when the backend rejects the token
+  useEffect(() => {
+    onUnauthorized((message) => logout(message || '🔒 Your session has ended. Please log in again.'));
+    return () => onUnauthorized(null);
+  }, [logout]);
+
+  // Log out automatically when the session token expires
+  useEffect(() => {
+    if (!session) return;
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => logout('⏰ Your session expired. Please log in again.'), Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [session, logout]);
 
   // handleSettingsChange removed - no longer needed without event name
 
@@ -25,90 +99,18 @@ export default function AdminDashboard() {
 
 
 
-  const handleTemplateUpload = async (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      try {
-        setLoading(true);
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          try {
-            // Upload template to backend (MongoDB + Cloudinary)
-            const response = await axios.put(`${API_BASE_URL}/api/settings`, {
-              template: e.target.result // Send as data URL to backend
-            });
-            console.log('✅ Template upload response:', response.data);
-
-            // Reload settings from backend to ensure sync
-            await loadSettings();
-          } catch (error) {
-            console.error('Template upload failed:', error);
-            setNotification({
-              type: 'error',
-              message: `❌ Failed to upload template: ${error.response?.data?.message || error.message}`
-            });
-            setTimeout(() => setNotification(null), 3000);
-          } finally {
-            setLoading(false);
-          }
-        };
-        reader.readAsDataURL(file);
-      } catch (error) {
-        setLoading(false);
-        setNotification({
-          type: 'error',
-          message: '❌ Failed to read template file.'
-        });
-        setTimeout(() => setNotification(null), 3000);
-      }
-    }
-  };
-
-  const deleteTemplate = async () => {
-    if (window.confirm('Are you sure you want to delete the template? This will also delete it from Cloudinary. This action cannot be undone.')) {
-      try {
-        setLoading(true);
-
-        // Delete template from backend (MongoDB + Cloudinary)
-        const response = await axios.delete(`${API_BASE_URL}/api/settings/template`);
-        console.log('✅ Template deletion response:', response.data);
-
-        // Reload settings from backend to ensure sync
-        await loadSettings();
-
-        // Clear the file input
-        const fileInput = document.getElementById('templateUpload');
-        if (fileInput) {
-          fileInput.value = '';
-        }
-
-        // Show success notification
-        setNotification({
-          type: 'success',
-          message: '🗑️ Template deleted from MongoDB and Cloudinary successfully!'
-        });
-        setTimeout(() => setNotification(null), 3000);
-      } catch (error) {
-        console.error('Template deletion failed:', error);
-        setNotification({
-          type: 'error',
-          message: `❌ Failed to delete template: ${error.response?.data?.message || error.message}`
-        });
-        setTimeout(() => setNotification(null), 3000);
-      } finally {
-        setLoading(false);
-      }
-    }
-  };
-
   const saveSettings = async () => {
     try {
       setLoading(true);
 
-      // Save settings to backend (MongoDB + Cloudinary if template included)
-      const response = await axios.put(`${API_BASE_URL}/api/settings`, {
-        template: settings.template
-      });
+      // Save settings to backend (MongoDB + image storage if template included)
+      const response = await adminApi.put('/api/settings', {
+        template: settings.template,
+        layout: settings.layout,
+        shareQrSeconds: settings.shareQrSeconds,
+        emailTemplate: settings.emailTemplate,
+        retention: settings.retention
+      }, { params: eventParams });
       console.log('✅ Settings save response:', response.data);
 
       // Reload settings from backend to ensure sync
@@ -116,7 +118,7 @@ export default function AdminDashboard() {
 
       setNotification({
         type: 'success',
-        message: '⚙️ Settings saved to MongoDB and Cloudinary successfully!'
+        message: '⚙️ Settings saved successfully!'
       });
       setTimeout(() => setNotification(null), 3000);
     } catch (error) {
@@ -133,41 +135,237 @@ export default function AdminDashboard() {
 
   const loadSettings = useCallback(async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/api/settings`);
+      const response = await adminApi.get('/api/settings', {
+        params: selectedEventId ? { event: selectedEventId } : undefined
+      });
       setSettings({
-        template: response.data.templateUrl || null
+        template: response.data.templateUrl || null,
+        layout: normalizeLayout(response.data.layout),
+        shareQrSeconds: response.data.shareQrSeconds ?? 30,
+        emailTemplate: response.data.emailTemplate || { subject: '', body: '' },
+        retention: { ...DEFAULT_RETENTION, ...response.data.retention },
+        emailEnabled: !!response.data.emailEnabled
       });
     } catch (error) {
       console.error('Failed to load settings:', error);
       // Keep default settings if loading fails
     }
-  }, [API_BASE_URL]);
+  }, [selectedEventId]);
 
   const load = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
+      setNewStripCount(0);
 
-      const res = await axios.get(`${API_BASE_URL}/api/strips`);
-      setStrips(res.data);
-      setNotification({ type: 'success', message: `✅ Loaded ${res.data.length} strips` });
+      const res = await adminApi.get('/api/strips', {
+        params: {
+          ...(selectedEventId ? { event: selectedEventId } : {}),
+          ...stripFilterParams(filters),
+          limit: PAGE_SIZE
+        }
+      });
+      const { strips: firstPage, ...pageInfo } = res.data;
+      setStrips(firstPage);
+      setPage(pageInfo);
+      setNotification({ type: 'success', message: `✅ Loaded ${firstPage.length} of ${pageInfo.total} strips` });
     } catch (error) {
       setError(`Failed to load strips: ${error.response?.data?.message || error.message}`);
     } finally {
       setLoading(false);
     }
-  }, [API_BASE_URL]);
+  }, [selectedEventId, filters]);
+
+  // Fetch the next page and append it to the grid
+  const loadMore = useCallback(async () => {
+    if (!page.hasMore || !page.nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const res = await adminApi.get('/api/strips', {
+        params: {
+          ...(selectedEventId ? { event: selectedEventId } : {}),
+          ...stripFilterParams(filters),
+          limit: PAGE_SIZE,
+          cursor: page.nextCursor
+        }
+      });
+      const { strips: nextPage, ...pageInfo } = res.data;
+      setStrips(prev => [...prev, ...nextPage.filter(s => !prev.some(p => p._id === s._id))]);
+      setPage(pageInfo);
+    } catch (error) {
+      setError(`Failed to load more strips: ${error.response?.data?.message || error.message}`);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [page, loadingMore, selectedEventId, filters]);
+
+  // Infinite scroll: load the next page when the sentinel scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !page.hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, page.hasMore]);
+
+  useEffect(() => {
+    stripsRef.current = strips;
+  }, [strips]);
+
+  // Apply strip changes in place so the scroll position is kept. Each change may
+  // arrive twice (our own request and its live update), so they are idempotent.
+  const replaceStrips = useCallback((next) => {
+    stripsRef.current = next;
+    setStrips(next);
+  }, []);
+
+  const applyStripPrinted = useCallback((strip) => {
+    const existing = stripsRef.current.find(s => s._id === strip._id);
+    if (!existing) return;
+
+    replaceStrips(stripsRef.current.map(s => (s._id === strip._id ? strip : s)));
+    if (!existing.printed) {
+      setPage(prev => ({
+        ...prev,
+        counts: { ...prev.counts, printed: prev.counts.printed + 1, pending: Math.max(prev.counts.pending - 1, 0) }
+      }));
+    }
+  }, [replaceStrips]);
+
+  const applyStripDeleted = useCallback((id) => {
+    const deleted = stripsRef.current.find(s => s._id === id);
+    if (!deleted) return;
+
+    replaceStrips(stripsRef.current.filter(s => s._id !== id));
+    setPage(prev => ({
+      ...prev,
+      total: Math.max(prev.total - 1, 0),
+      counts: {
+        all: Math.max(prev.counts.all - 1, 0),
+        printed: prev.counts.printed - (deleted.printed ? 1 : 0),
+        pending: prev.counts.pending - (deleted.printed ? 0 : 1)
+      }
+    }));
+  }, [replaceStrips]);
+
+  // New strips slot straight into the unfiltered newest-first view; otherwise show a badge
+  const applyStripCreated = useCallback((strip) => {
+    if (stripsRef.current.some(s => s._id === strip._id)) return;
+
+    const params = stripFilterParams(filters);
+    const isDefaultView = params.sort === 'newest' && Object.keys(params).length === 1;
+    if (!isDefaultView) {
+      setNewStripCount(count => count + 1);
+      return;
+    }
+
+    replaceStrips([strip, ...stripsRef.current]);
+    setPage(prev => ({
+      ...prev,
+      total: prev.total + 1,
+      counts: { ...prev.counts, all: prev.counts.all + 1, pending: prev.counts.pending + 1 }
+    }));
+  }, [filters, replaceStrips]);
+
+  // Live updates replace manual refreshes while the dashboard is open
+  const liveHandlersRef = useRef({});
+  const liveReconnectRef = useRef(false);
+  liveHandlersRef.current = {
+    ready: () => {
+      // Catch up on anything missed while disconnected
+      if (liveReconnectRef.current) load();
+      liveReconnectRef.current = true;
+    },
+    'strip-created': ({ strip }) => {
+      applyStripCreated(strip);
+      if (soundOn) playChime();
+    },
+    'strip-printed': ({ strip }) => applyStripPrinted(strip),
+    'strip-deleted': ({ id }) => (id ? applyStripDeleted(id) : load()),
+    'strip-restored': () => load(),
+    'settings-updated': () => loadSettings()
+  };
+
+  const sessionToken = session?.token;
+  useEffect(() => {
+    if (!sessionToken) return;
+
+    const handle = (type) => (data) => {
+      setLiveConnected(true);
+      liveHandlersRef.current[type](data);
+    };
+    liveReconnectRef.current = false;
+
+    return subscribeLiveUpdates({ event: selectedEventId, token: sessionToken }, {
+      ready: handle('ready'),
+      'strip-created': handle('strip-created'),
+      'strip-printed': handle('strip-printed'),
+      'strip-deleted': handle('strip-deleted'),
+      'strip-restored': handle('strip-restored'),
+      'settings-updated': handle('settings-updated'),
+      error: () => setLiveConnected(false)
+    });
+  }, [sessionToken, selectedEventId]);
+
+  const toggleSound = () => {
+    localStorage.setItem('adminLiveSound', soundOn ? 'off' : 'on');
+    setSoundOn(!soundOn);
+  };
 
   const mark = async (id) => {
     try {
-      await axios.patch(`${API_BASE_URL}/api/strips/${id}/mark-printed`);
+      const res = await adminApi.patch(`/api/strips/${id}/mark-printed`);
       setNotification({ type: 'success', message: '✅ Strip marked as printed' });
-      load();
+      applyStripPrinted(res.data.strip);
     } catch (error) {
       setError(`Failed to mark strip: ${error.response?.data?.message || error.message}`);
     }
   };
 
+  const toggleStar = async (strip) => {
+    try {
+      const res = await adminApi.patch(`/api/strips/${strip._id}/star`, { starred: !strip.starred });
+      replaceStrips(stripsRef.current.map(s => (s._id === strip._id ? res.data.strip : s)));
+    } catch (error) {
+      setNotification({ type: 'error', message: `❌ Failed to star strip: ${error.response?.data?.message || error.message}` });
+    }
+  };
+
+  const queuePrint = async (strip) => {
+    const input = window.prompt('How many copies should be printed?', '1');
+    if (input === null) return;
+
+    const copies = parseInt(input, 10);
+    if (!copies || copies < 1 || copies > 10) {
+      setNotification({ type: 'error', message: '❌ Enter between 1 and 10 copies' });
+      return;
+    }
+
+    try {
+      await adminApi.post('/api/print-jobs', { stripId: strip._id, copies });
+      setNotification({ type: 'success', message: `🖨️ Strip added to the print queue (${copies} ${copies === 1 ? 'copy' : 'copies'})` });
+    } catch (error) {
+      setNotification({ type: 'error', message: error.response?.data?.message || `❌ Failed to queue print: ${error.message}` });
+    }
+  };
+
+  const sendEmail = async (strip) => {
+    const email = window.prompt('Send this strip to which email address?', strip.email?.address || '');
+    if (!email) return;
+
+    try {
+      const res = await adminApi.post(`/api/strips/${strip._id}/resend-email`, { email: email.trim() });
+      replaceStrips(stripsRef.current.map(s => (s._id === strip._id ? res.data.strip : s)));
+      setNotification({ type: 'success', message: res.data.message });
+    } catch (error) {
+      setNotification({ type: 'error', message: error.response?.data?.message || `❌ Failed to send email: ${error.message}` });
+    }
+  };
+
   const downloadAsPDF = async (strip) => {
     try {
       setLoading(true);
@@ -212,32 +410,36 @@ export default function AdminDashboard() {
   };
 
   const del = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this strip?')) return;
+    if (!window.confirm('Move this strip to the trash?')) return;
 
     try {
-      await axios.delete(`${API_BASE_URL}/api/strips/${id}`);
-      setNotification({ type: 'success', message: '✅ Strip deleted successfully' });
-      load();
+      const res = await adminApi.delete(`/api/strips/${id}`);
+      setNotification({ type: 'success', message: res.data.message });
+      applyStripDeleted(id);
     } catch (error) {
       setError(`Failed to delete strip: ${error.response?.data?.message || error.message}`);
     }
   };
 
   const deleteAllStrips = async () => {
-    if (strips.length === 0) {
+    const totalStrips = page.counts.all;
+    if (totalStrips === 0) {
       setNotification({ type: 'info', message: 'ℹ️ No strips to delete' });
       return;
     }
 
-    const confirmMessage = `⚠️ Are you sure you want to delete ALL ${strips.length} strips?\n\nThis action cannot be undone and will permanently delete all photo strips and their images from Cloudinary.`;
+    // Without a selected event the backend trashes the strips of every event
+    const scope = selectedEventId ? 'of this event' : 'from EVERY event, including the default booth';
+    const confirmMessage = `⚠️ Are you sure you want to delete ALL ${totalStrips} strips ${scope}?\n\nThey will be moved to the trash, where they can be restored until they are purged.`;
 
     if (!window.confirm(confirmMessage)) return;
 
     try {
       setLoading(true);
-      await axios.delete(`${API_BASE_URL}/api/strips/all`);
-      setNotification({ type: 'success', message: `✅ Successfully deleted all ${strips.length} strips` });
+      const res = await adminApi.delete('/api/strips/all', { params: eventParams });
+      setNotification({ type: 'success', message: res.data.message });
       setStrips([]); // Clear the strips array immediately
+      setPage(EMPTY_PAGE);
       load(); // Reload to confirm
     } catch (error) {
       setError(`Failed to delete all strips: ${error.response?.data?.message || error.message}`);
@@ -246,14 +448,36 @@ export default function AdminDashboard() {
     }
   };
 
+  // Download every strip matching the current filters as one ZIP, streamed by the backend
+  const exportStrips = () => {
+    if (page.total === 0) {
+      setNotification({ type: 'info', message: 'ℹ️ No strips to export' });
+      return;
+    }
+
+    const params = new URLSearchParams({
+      ...stripFilterParams(filters),
+      ...eventParams,
+      manifest: String(exportManifest),
+      token: session.token // A plain link cannot send the Authorization header
+    });
+
+    const link = document.createElement('a');
+    link.href = `${API_BASE_URL}/api/strips/export?${params}`;
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setNotification({ type: 'success', message: `📦 Exporting ${page.total} strips - the ZIP download will start shortly` });
+  };
+
   const testAPI = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`${API_BASE_URL}/api/strips`);
-      const data = await response.json();
+      const { data } = await adminApi.get('/api/strips');
       setNotification({
         type: 'success',
-        message: `✅ API test successful: Found ${data.length} strips`
+        message: `✅ API test successful: Found ${data.counts.all} strips`
       });
     } catch (error) {
       setError(`API test failed: ${error.message}`);
@@ -262,15 +486,18 @@ export default function AdminDashboard() {
     }
   };
 
+  // Reload from the first page when the event or filters change (debounced for the search box)
   useEffect(()=>{
-    if(auth) load();
+    if (!auth) return;
+    const timer = setTimeout(load, 300);
+    return () => clearTimeout(timer);
   }, [auth, load]);
 
   useEffect(() => {
     // Load settings from localStorage
     const savedSettings = localStorage.getItem('photoBoothSettings');
     if (savedSettings) {
-      setSettings(JSON.parse(savedSettings));
+      setSettings(prev => ({ ...prev, ...JSON.parse(savedSettings) }));
     }
   }, []);
 
@@ -287,7 +514,7 @@ export default function AdminDashboard() {
   // Test API connection on component mount
   useEffect(() => {
     // Test basic connectivity silently
-    fetch(`${API_BASE_URL}/api/strips`)
+    fetch(`${API_BASE_URL}/api/health`)
       .then(response => response.json())
       .then(() => {
         // Silent success - no notification needed for background check
@@ -298,7 +525,7 @@ export default function AdminDashboard() {
           setError('API connection failed. Please check if the server is running.');
         }
       });
-  }, [API_BASE_URL]);
+  }, []);
 
   // Load settings when authenticated
   useEffect(() => {
@@ -307,7 +534,17 @@ export default function AdminDashboard() {
     }
   }, [auth, loadSettings]);
 
-  // Direct admin access - no login required
+  if (!auth) {
+    return (
+      <AdminLogin
+        message={loginMessage}
+        onLogin={(newSession) => {
+          setLoginMessage(null);
+          setSession(newSession);
+        }}
+      />
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900">
@@ -339,7 +576,7 @@ export default function AdminDashboard() {
             </div>
             <div>
               <h1 className="text-xl sm:text-2xl lg:text-3xl font-bold text-white">Admin Dashboard</h1>
-              <p className="text-sm sm:text-base text-gray-300">Manage your photo strips</p>
+              <p className="text-sm sm:text-base text-gray-300">Signed in as {session.username || 'admin'}</p>
             </div>
           </div>
           <div className="flex space-x-2 sm:space-x-3">
@@ -350,7 +587,7 @@ export default function AdminDashboard() {
               ⚙️ Settings
             </button>
             <button
-              onClick={() => setAuth(false)}
+              onClick={() => logout()}
               className="bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white px-3 sm:px-4 py-2 rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
             >
               🚪 Logout
@@ -358,6 +595,12 @@ export default function AdminDashboard() {
           </div>
         </div>
 
+        <EventSwitcher
+          selectedEventId={selectedEventId}
+          onSelect={selectEvent}
+          onNotify={setNotification}
+        />
+
         {/* Enhanced Settings Section */}
         {showSettings && (
           <div className="bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-xl rounded-3xl p-8 border border-white/20 mb-8 shadow-2xl relative overflow-hidden">
@@ -395,74 +638,111 @@ export default function AdminDashboard() {
                       <span className="text-xl">🖼️</span>
                     </div>
                     <div>
-                      <span>Strip Template</span>
-                      <span className="text-white/60 text-sm font-normal block">Upload custom template background (JPEG, PNG, etc.)</span>
+                      <span>Template Library</span>
+                      <span className="text-white/60 text-sm font-normal block">Upload backgrounds (JPEG, PNG, etc.) and pick the one the booth uses</span>
                     </div>
                   </label>
 
-                  <div className="flex items-center space-x-4 flex-wrap gap-3">
-                    <input
-                      type="file"
-                      accept="image/*"
-                      onChange={handleTemplateUpload}
-                      className="hidden"
-                      id="templateUpload"
-                    />
-                    <label
-                      htmlFor="templateUpload"
-                      className="px-6 py-3 bg-gradient-to-r from-pink-500/20 to-red-500/20 border border-pink-400/30 rounded-xl text-white cursor-pointer hover:from-pink-500/30 hover:to-red-500/30 transition-all duration-300 text-sm sm:text-base font-medium shadow-lg hover:shadow-xl transform hover:scale-105"
-                    >
-                      📁 Choose Template
-                    </label>
+                  <TemplateLibrary
+                    selectedEventId={selectedEventId}
+                    onNotify={setNotification}
+                    onChange={loadSettings}
+                  />
+                </div>
 
-                    {settings.template && (
-                      <button
-                        onClick={deleteTemplate}
-                        className="px-6 py-3 bg-gradient-to-r from-red-500/80 to-pink-500/80 hover:from-red-600/90 hover:to-pink-600/90 border border-red-400/50 rounded-xl text-white transition-all duration-300 text-sm sm:text-base font-medium shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95"
-                        title="Delete template permanently"
-                      >
-                        🗑️ Delete Template
-                      </button>
-                    )}
+                {/* Photo Box Layout */}
+                <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10 hover:border-white/20 transition-all duration-300 group">
+                  <label className="flex items-center text-white font-bold mb-4 text-lg">
+                    <div className="bg-gradient-to-r from-blue-400 to-cyan-400 p-3 rounded-xl mr-4 shadow-lg group-hover:scale-110 transition-transform duration-300">
+                      <span className="text-xl">📐</span>
+                    </div>
+                    <div>
+                      <span>Photo Layout</span>
+                      <span className="text-white/60 text-sm font-normal block">Where the captured photos are placed on the strip</span>
+                    </div>
+                  </label>
 
-                    <button
-                      onClick={loadSettings}
-                      disabled={loading}
-                      className="px-4 py-3 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-xl text-white hover:from-blue-500/30 hover:to-cyan-500/30 transition-all duration-300 text-sm font-medium shadow-lg hover:shadow-xl transform hover:scale-105 disabled:opacity-50 flex items-center space-x-2"
-                      title="Refresh template and settings"
-                    >
-                      {loading ? (
-                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                      ) : (
-                        <>
-                          <span>🔄</span>
-                          <span className="hidden sm:inline">Refresh</span>
-                        </>
-                      )}
-                    </button>
+                  <LayoutEditor
+                    layout={settings.layout}
+                    templateUrl={settings.template}
+                    onChange={(layout) => setSettings(prev => ({ ...prev, layout }))}
+                  />
+                </div>
 
-                    <div className="bg-white/10 backdrop-blur-lg rounded-xl px-4 py-2 border border-white/20">
-                      <span className="text-white/80 text-sm font-medium">
-                        {settings.template ? '✅ Template uploaded' : '📄 No template chosen'}
-                      </span>
+                {/* Guest Sharing */}
+                <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10 hover:border-white/20 transition-all duration-300 group">
+                  <label className="flex items-center text-white font-bold mb-4 text-lg" htmlFor="shareQrSeconds">
+                    <div className="bg-gradient-to-r from-emerald-400 to-teal-400 p-3 rounded-xl mr-4 shadow-lg group-hover:scale-110 transition-transform duration-300">
+                      <span className="text-xl">📲</span>
                     </div>
-                  </div>
-
-                  {settings.template && (
-                    <div className="mt-4 p-4 bg-white/5 rounded-xl border border-white/10">
-                      <p className="text-white/80 text-sm font-medium mb-2">Template Preview:</p>
-                      <div className="w-32 h-48 bg-white/10 rounded-lg overflow-hidden border border-white/20">
-                        <img
-                          src={settings.template}
-                          alt="Template preview"
-                          className="w-full h-full object-cover"
-                        />
-                      </div>
+                    <div>
+                      <span>Guest Sharing</span>
+                      <span className="text-white/60 text-sm font-normal block">Seconds the download QR code stays on the booth after each strip (0 turns it off)</span>
                     </div>
-                  )}
+                  </label>
+                  <input
+                    id="shareQrSeconds"
+                    type="number"
+                    min="0"
+                    max="600"
+                    value={settings.shareQrSeconds}
+                    onChange={(e) => setSettings(prev => ({ ...prev, shareQrSeconds: Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), 600) }))}
+                    className="w-32 px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm"
+                  />
                 </div>
 
+                {/* Guest Email */}
+                <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10 hover:border-white/20 transition-all duration-300 group">
+                  <label className="flex items-center text-white font-bold mb-4 text-lg" htmlFor="emailSubject">
+                    <div className="bg-gradient-to-r from-yellow-400 to-orange-400 p-3 rounded-xl mr-4 shadow-lg group-hover:scale-110 transition-transform duration-300">
+                      <span className="text-xl">📧</span>
+                    </div>
+                    <div>
+                      <span>Guest Email</span>
+                      <span className="text-white/60 text-sm font-normal block">
+                        {settings.emailEnabled
+                          ? 'Sent with the strip attached. Placeholders: {{eventName}}, {{shareUrl}}, {{date}}'
+                          : '⚠️ Email delivery is off - set SMTP_HOST on the backend to let guests email their strips'}
+                      </span>
+                    </div>
+                  </label>
+                  <input
+                    id="emailSubject"
+                    type="text"
+                    value={settings.emailTemplate.subject}
+                    onChange={(e) => setSettings(prev => ({ ...prev, emailTemplate: { ...prev.emailTemplate, subject: e.target.value } }))}
+                    placeholder="Subject"
+                    maxLength={200}
+                    className="w-full mb-3 px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm"
+                  />
+                  <textarea
+                    value={settings.emailTemplate.body}
+                    onChange={(e) => setSettings(prev => ({ ...prev, emailTemplate: { ...prev.emailTemplate, body: e.target.value } }))}
+                    placeholder="Message"
+                    rows={6}
+                    maxLength={5000}
+                    className="w-full px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm font-mono"
+                  />
+                </div>
 
+                {/* Retention */}
+                <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10 hover:border-white/20 transition-all duration-300 group">
+                  <label className="flex items-center text-white font-bold mb-4 text-lg">
+                    <div className="bg-gradient-to-r from-slate-400 to-gray-500 p-3 rounded-xl mr-4 shadow-lg group-hover:scale-110 transition-transform duration-300">
+                      <span className="text-xl">🧹</span>
+                    </div>
+                    <div>
+                      <span>Retention</span>
+                      <span className="text-white/60 text-sm font-normal block">Move old strips of this booth to the trash automatically</span>
+                    </div>
+                  </label>
+                  <RetentionSettings
+                    retention={settings.retention}
+                    onChange={(retention) => setSettings(prev => ({ ...prev, retention }))}
+                    selectedEventId={selectedEventId}
+                    onNotify={setNotification}
+                  />
+                </div>
 
                 {/* Enhanced Save Button */}
                 <div className="flex justify-center pt-6">
@@ -482,6 +762,54 @@ export default function AdminDashboard() {
           </div>
         )}
 
+        {/* Tabs */}
+        <div className="mb-6 sm:mb-8 flex gap-2 overflow-x-auto">
+          {[
+            { id: 'strips', label: '📸 Strips' },
+            { id: 'queue', label: '🖨️ Print Queue' },
+            { id: 'stats', label: '📊 Stats' },
+            { id: 'trash', label: '🗑️ Trash' },
+            { id: 'activity', label: '📜 Activity' },
+            { id: 'backup', label: '💾 Backup' }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base whitespace-nowrap transition-all duration-300 ${
+                activeTab === tab.id
+                  ? 'bg-white text-purple-900 shadow-lg'
+                  : 'bg-white/10 text-white hover:bg-white/20 border border-white/20'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+
+          <div className="ml-auto flex items-center gap-2">
+            {newStripCount > 0 && (
+              <button
+                onClick={load}
+                className="px-3 py-2 bg-pink-500 hover:bg-pink-600 text-white rounded-lg text-sm font-semibold whitespace-nowrap animate-pulse"
+              >
+                🔔 {newStripCount} new {newStripCount === 1 ? 'strip' : 'strips'}
+              </button>
+            )}
+            <button
+              onClick={toggleSound}
+              className="px-3 py-2 bg-white/10 hover:bg-white/20 border border-white/20 text-white rounded-lg text-sm"
+              title={soundOn ? 'Mute new strip sound' : 'Play a sound for new strips'}
+            >
+              {soundOn ? '🔊' : '🔇'}
+            </button>
+            <span
+              className={`px-3 py-2 rounded-lg text-xs sm:text-sm whitespace-nowrap ${liveConnected ? 'text-green-300' : 'text-gray-400'}`}
+              title={liveConnected ? 'Receiving live updates' : 'Live updates disconnected - reconnecting'}
+            >
+              {liveConnected ? '🟢 Live' : '⚪ Offline'}
+            </span>
+          </div>
+        </div>
+
         {/* Stats Bar */}
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4 lg:gap-6 mb-6 sm:mb-8">
           <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
@@ -491,7 +819,7 @@ export default function AdminDashboard() {
               </div>
               <div>
                 <p className="text-gray-300 text-xs sm:text-sm">Total Strips</p>
-                <p className="text-2xl sm:text-3xl font-bold text-white">{strips.length}</p>
+                <p className="text-2xl sm:text-3xl font-bold text-white">{page.counts.all}</p>
               </div>
             </div>
           </div>
@@ -503,7 +831,7 @@ export default function AdminDashboard() {
               </div>
               <div>
                 <p className="text-gray-300 text-xs sm:text-sm">Printed</p>
-                <p className="text-2xl sm:text-3xl font-bold text-white">{strips.filter(s => s.printed).length}</p>
+                <p className="text-2xl sm:text-3xl font-bold text-white">{page.counts.printed}</p>
               </div>
             </div>
           </div>
@@ -515,7 +843,7 @@ export default function AdminDashboard() {
               </div>
               <div>
                 <p className="text-gray-300 text-xs sm:text-sm">Pending</p>
-                <p className="text-2xl sm:text-3xl font-bold text-white">{strips.filter(s => !s.printed).length}</p>
+                <p className="text-2xl sm:text-3xl font-bold text-white">{page.counts.pending}</p>
               </div>
             </div>
           </div>
@@ -531,179 +859,259 @@ export default function AdminDashboard() {
           </div>
         )}
 
-        {/* Action Buttons */}
-        <div className="mb-4 sm:mb-6 flex flex-col sm:flex-row flex-wrap gap-2 sm:gap-3">
-          <button
-            onClick={load}
-            disabled={loading}
-            className={`px-3 sm:px-4 py-2 rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 ${
-              loading
-                ? 'bg-gray-600 cursor-not-allowed'
-                : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 text-white transform hover:scale-105 active:scale-95'
-            }`}
-          >
-            {loading ? (
-              <div className="flex items-center justify-center">
-                <div className="animate-spin rounded-full h-3 w-3 sm:h-4 sm:w-4 border-b-2 border-white mr-2"></div>
-                <span className="hidden sm:inline">Loading...</span>
-                <span className="sm:hidden">...</span>
-              </div>
-            ) : (
-              <>
-                <span className="hidden sm:inline">🔄 Refresh Strips</span>
-                <span className="sm:hidden">🔄 Refresh</span>
-              </>
-            )}
-          </button>
-
-          <button
-            onClick={testAPI}
-            className="px-3 sm:px-4 py-2 bg-gradient-to-r from-purple-500 to-indigo-500 hover:from-purple-600 hover:to-indigo-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
-          >
-            <span className="hidden sm:inline">🧪 Test API</span>
-            <span className="sm:hidden">🧪 Test</span>
-          </button>
-
-          <button
-            onClick={() => window.open('/')}
-            className="px-3 sm:px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
-          >
-            <span className="hidden sm:inline">📷 Go to Camera</span>
-            <span className="sm:hidden">📷 Camera</span>
-          </button>
-
-          {strips.length > 0 && (
+        {activeTab === 'strips' && (
+          <>
+          {/* Action Buttons */}
+          <div className="mb-4 sm:mb-6 flex flex-col sm:flex-row flex-wrap gap-2 sm:gap-3">
             <button
-              onClick={deleteAllStrips}
+              onClick={load}
               disabled={loading}
-              className="px-3 sm:px-4 py-2 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 disabled:from-gray-500 disabled:to-gray-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95 disabled:cursor-not-allowed disabled:transform-none"
+              className={`px-3 sm:px-4 py-2 rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 ${
+                loading
+                  ? 'bg-gray-600 cursor-not-allowed'
+                  : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 text-white transform hover:scale-105 active:scale-95'
+              }`}
             >
-              <span className="hidden sm:inline">🗑️ Delete All ({strips.length})</span>
-              <span className="sm:hidden">🗑️ All</span>
+              {loading ? (
+                <div className="flex items-center justify-center">
+                  <div className="animate-spin rounded-full h-3 w-3 sm:h-4 sm:w-4 border-b-2 border-white mr-2"></div>
+                  <span className="hidden sm:inline">Loading...</span>
+                  <span className="sm:hidden">...</span>
+                </div>
+              ) : (
+                <>
+                  <span className="hidden sm:inline">🔄 Refresh Strips</span>
+                  <span className="sm:hidden">🔄 Refresh</span>
+                </>
+              )}
             </button>
-          )}
-        </div>
 
-        {/* Strips Grid */}
-        {strips.length === 0 ? (
-          <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-8 sm:p-12 border border-white/20 text-center">
-            <div className="w-16 h-16 sm:w-20 sm:h-20 lg:w-24 lg:h-24 bg-gray-500/20 rounded-full flex items-center justify-center mx-auto mb-4 sm:mb-6">
-              <span className="text-2xl sm:text-3xl lg:text-4xl">📷</span>
-            </div>
-            <h3 className="text-xl sm:text-2xl font-bold text-white mb-2">No Strips Found</h3>
-            <p className="text-sm sm:text-base text-gray-300 mb-4 sm:mb-6 px-4">Start capturing some amazing photo strips!</p>
             <button
-              onClick={() => window.open('http://localhost:3000')}
-              className="px-4 sm:px-6 py-2 sm:py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
+              onClick={testAPI}
+              className="px-3 sm:px-4 py-2 bg-gradient-to-r from-purple-500 to-indigo-500 hover:from-purple-600 hover:to-indigo-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
             >
-              📸 Start Capturing
+              <span className="hidden sm:inline">🧪 Test API</span>
+              <span className="sm:hidden">🧪 Test</span>
             </button>
-          </div>
-        ) : (
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-3 sm:gap-4 lg:gap-6">
-            {strips.map(s=>(
-              <div key={s._id} className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-3 sm:p-4 border border-white/20 hover:bg-white/20 transition-all duration-300 transform hover:scale-105">
-                {/* Image */}
-                <div className="relative mb-3 sm:mb-4">
-                  <img
-                    src={s.imageUrl}
-                    alt="Photo strip"
-                    className="w-full h-32 sm:h-40 lg:h-48 object-cover rounded-lg sm:rounded-xl shadow-lg"
-                    onError={(e) => {
-                      // Fallback to placeholder image
-                      e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZGRkIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIEVycm9yPC90ZXh0Pjwvc3ZnPg==';
-                    }}
+
+            <button
+              onClick={() => window.open('/')}
+              className="px-3 sm:px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
+            >
+              <span className="hidden sm:inline">📷 Go to Camera</span>
+              <span className="sm:hidden">📷 Camera</span>
+            </button>
+
+            {page.total > 0 && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={exportStrips}
+                  className="px-3 sm:px-4 py-2 bg-gradient-to-r from-amber-500 to-orange-500 hover:from-amber-600 hover:to-orange-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
+                  title="Download the strips matching the current filters as a ZIP file"
+                >
+                  <span className="hidden sm:inline">📦 Export All ({page.total})</span>
+                  <span className="sm:hidden">📦 ZIP</span>
+                </button>
+                <label className="flex items-center gap-1 text-white/80 text-xs sm:text-sm" title="Include a CSV of timestamps and print status">
+                  <input
+                    type="checkbox"
+                    checked={exportManifest}
+                    onChange={(e) => setExportManifest(e.target.checked)}
                   />
-                  <div className={`absolute top-1.5 sm:top-2 right-1.5 sm:right-2 px-1.5 sm:px-2 py-0.5 sm:py-1 rounded text-xs font-semibold ${
-                    s.printed ? 'bg-green-500 text-white' : 'bg-orange-500 text-white'
-                  }`}>
-                    <span className="hidden sm:inline">{s.printed ? '✅ Printed' : '⏳ Pending'}</span>
-                    <span className="sm:hidden">{s.printed ? '✅' : '⏳'}</span>
-                  </div>
-                </div>
+                  CSV
+                </label>
+              </div>
+            )}
 
-                {/* Info */}
-                <div className="mb-3 sm:mb-4">
-                  <h4 className="text-white font-bold text-sm sm:text-base lg:text-lg mb-1 line-clamp-2">
-                    Photo Strip
-                  </h4>
-                  <p className="text-gray-300 text-xs sm:text-sm">
-                    📅 {new Date(s.timestamp).toLocaleDateString()}
-                    <span className="hidden sm:inline"> {new Date(s.timestamp).toLocaleTimeString()}</span>
-                  </p>
-                </div>
+            {page.counts.all > 0 && (
+              <button
+                onClick={deleteAllStrips}
+                disabled={loading}
+                className="px-3 sm:px-4 py-2 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 disabled:from-gray-500 disabled:to-gray-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95 disabled:cursor-not-allowed disabled:transform-none"
+              >
+                <span className="hidden sm:inline">🗑️ Delete All ({page.counts.all})</span>
+                <span className="sm:hidden">🗑️ All</span>
+              </button>
+            )}
+          </div>
 
-                {/* Actions */}
-                <div className="grid grid-cols-2 gap-2 sm:gap-3">
-                  <button
-                    onClick={()=>mark(s._id)}
-                    disabled={s.printed}
-                    className={`px-3 sm:px-4 py-2 sm:py-3 rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 flex items-center justify-center min-h-[40px] ${
-                      s.printed
-                        ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
-                        : 'bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 text-white transform hover:scale-105 active:scale-95'
-                    }`}
-                    title={s.printed ? 'Already printed' : 'Mark as printed'}
-                  >
-                    <span className="flex items-center space-x-1">
-                      <span>{s.printed ? '✅' : '🖨️'}</span>
-                      <span className="hidden sm:inline">{s.printed ? 'Printed' : 'Mark'}</span>
-                    </span>
-                  </button>
+          <StripFilters filters={filters} onChange={setFilters} total={page.total} />
 
-                  <button
-                    onClick={() => downloadAsPDF(s)}
-                    disabled={loading}
-                    className={`px-3 sm:px-4 py-2 sm:py-3 rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 flex items-center justify-center min-h-[40px] ${
-                      loading
-                        ? 'bg-gray-500 cursor-not-allowed'
-                        : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 hover:scale-105 active:scale-95'
-                    } text-white`}
-                    title="Download photo strip as image file"
-                  >
-                    {loading ? (
-                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    ) : (
+          {/* Strips Grid */}
+          {strips.length === 0 ? (
+            <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-8 sm:p-12 border border-white/20 text-center">
+              <div className="w-16 h-16 sm:w-20 sm:h-20 lg:w-24 lg:h-24 bg-gray-500/20 rounded-full flex items-center justify-center mx-auto mb-4 sm:mb-6">
+                <span className="text-2xl sm:text-3xl lg:text-4xl">📷</span>
+              </div>
+              <h3 className="text-xl sm:text-2xl font-bold text-white mb-2">No Strips Found</h3>
+              <p className="text-sm sm:text-base text-gray-300 mb-4 sm:mb-6 px-4">Start capturing some amazing photo strips!</p>
+              <button
+                onClick={() => window.open('http://localhost:3000')}
+                className="px-4 sm:px-6 py-2 sm:py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg sm:rounded-xl font-semibold text-sm sm:text-base transition-all duration-300 transform hover:scale-105 active:scale-95"
+              >
+                📸 Start Capturing
+              </button>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-3 sm:gap-4 lg:gap-6">
+              {strips.map(s=>(
+                <div key={s._id} className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-3 sm:p-4 border border-white/20 hover:bg-white/20 transition-all duration-300 transform hover:scale-105">
+                  {/* Image */}
+                  <div className="relative mb-3 sm:mb-4">
+                    <img
+                      src={s.thumbnailUrl || s.imageUrl}
+                      srcSet={stripSrcSet(s)}
+                      sizes="(min-width: 1024px) 25vw, (min-width: 640px) 50vw, 100vw"
+                      alt="Photo strip"
+                      loading="lazy"
+                      decoding="async"
+                      className="w-full h-32 sm:h-40 lg:h-48 object-cover rounded-lg sm:rounded-xl shadow-lg"
+                      onError={(e) => {
+                        // Fallback to placeholder image
+                        e.target.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZGRkIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxNCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIEVycm9yPC90ZXh0Pjwvc3ZnPg==';
+                      }}
+                    />
+                    <div className={`absolute top-1.5 sm:top-2 right-1.5 sm:right-2 px-1.5 sm:px-2 py-0.5 sm:py-1 rounded text-xs font-semibold ${
+                      s.printed ? 'bg-green-500 text-white' : 'bg-orange-500 text-white'
+                    }`}>
+                      <span className="hidden sm:inline">{s.printed ? '✅ Printed' : '⏳ Pending'}</span>
+                      <span className="sm:hidden">{s.printed ? '✅' : '⏳'}</span>
+                    </div>
+                    <button
+                      onClick={() => toggleStar(s)}
+                      className={`absolute top-1.5 sm:top-2 left-1.5 sm:left-2 px-1.5 py-0.5 rounded bg-black/40 hover:bg-black/60 text-sm ${s.starred ? '' : 'opacity-60 hover:opacity-100'}`}
+                      title={s.starred ? 'Remove star' : 'Star this strip (kept by the retention policy)'}
+                    >
+                      {s.starred ? '⭐' : '☆'}
+                    </button>
+                  </div>
+
+                  {/* Info */}
+                  <div className="mb-3 sm:mb-4">
+                    <h4 className="text-white font-bold text-sm sm:text-base lg:text-lg mb-1 line-clamp-2">
+                      Photo Strip
+                    </h4>
+                    <p className="text-gray-300 text-xs sm:text-sm">
+                      📅 {new Date(s.timestamp).toLocaleDateString()}
+                      <span className="hidden sm:inline"> {new Date(s.timestamp).toLocaleTimeString()}</span>
+                    </p>
+                    <div className="mt-1 flex items-center gap-2 text-xs">
+                      {s.email && (
+                        <span
+                          className={`truncate ${EMAIL_STATUS_STYLES[s.email.status] || 'text-gray-300'}`}
+                          title={s.email.lastError ? `Last error: ${s.email.lastError}` : s.email.address}
+                        >
+                          📧 {s.email.address} · {s.email.status}
+                        </span>
+                      )}
+                      <button
+                        onClick={() => sendEmail(s)}
+                        className="text-purple-300 hover:text-white whitespace-nowrap"
+                        title={s.email ? 'Send the email again' : 'Email this strip'}
+                      >
+                        {s.email ? '↻ Resend' : '📧 Email'}
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Actions */}
+                  <div className="grid grid-cols-2 gap-2 sm:gap-3">
+                    <button
+                      onClick={()=>mark(s._id)}
+                      disabled={s.printed}
+                      className={`px-3 sm:px-4 py-2 sm:py-3 rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 flex items-center justify-center min-h-[40px] ${
+                        s.printed
+                          ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+                          : 'bg-gradient-to-r from-yellow-500 to-orange-500 hover:from-yellow-600 hover:to-orange-600 text-white transform hover:scale-105 active:scale-95'
+                      }`}
+                      title={s.printed ? 'Already printed' : 'Mark as printed'}
+                    >
                       <span className="flex items-center space-x-1">
-                        <span>📥</span>
-                        <span className="hidden sm:inline">Download</span>
+                        <span>{s.printed ? '✅' : '🖨️'}</span>
+                        <span className="hidden sm:inline">{s.printed ? 'Printed' : 'Mark'}</span>
                       </span>
-                    )}
-                  </button>
+                    </button>
 
-                  <button
-                    onClick={() => setPrintingStrip(s)}
-                    className="px-3 sm:px-4 py-2 sm:py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 flex items-center justify-center min-h-[40px]"
-                    title="Print photo strip"
-                  >
-                    <span className="flex items-center space-x-1">
-                      <span>🖨️</span>
-                      <span className="hidden sm:inline">Print</span>
-                    </span>
-                  </button>
+                    <button
+                      onClick={() => downloadAsPDF(s)}
+                      disabled={loading}
+                      className={`px-3 sm:px-4 py-2 sm:py-3 rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 flex items-center justify-center min-h-[40px] ${
+                        loading
+                          ? 'bg-gray-500 cursor-not-allowed'
+                          : 'bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 hover:scale-105 active:scale-95'
+                      } text-white`}
+                      title="Download photo strip as image file"
+                    >
+                      {loading ? (
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                      ) : (
+                        <span className="flex items-center space-x-1">
+                          <span>📥</span>
+                          <span className="hidden sm:inline">Download</span>
+                        </span>
+                      )}
+                    </button>
 
-                  <button
-                    onClick={()=>del(s._id)}
-                    className="px-3 sm:px-4 py-2 sm:py-3 bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 flex items-center justify-center min-h-[40px]"
-                    title="Delete photo strip permanently"
-                  >
-                    <span className="flex items-center space-x-1">
-                      <span>🗑️</span>
-                      <span className="hidden sm:inline">Delete</span>
-                    </span>
-                  </button>
+                    <button
+                      onClick={() => queuePrint(s)}
+                      className="px-3 sm:px-4 py-2 sm:py-3 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 flex items-center justify-center min-h-[40px]"
+                      title="Add photo strip to the print queue"
+                    >
+                      <span className="flex items-center space-x-1">
+                        <span>🖨️</span>
+                        <span className="hidden sm:inline">Queue</span>
+                      </span>
+                    </button>
+
+                    <button
+                      onClick={()=>del(s._id)}
+                      className="px-3 sm:px-4 py-2 sm:py-3 bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white rounded-lg text-xs sm:text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 flex items-center justify-center min-h-[40px]"
+                      title="Delete photo strip permanently"
+                    >
+                      <span className="flex items-center space-x-1">
+                        <span>🗑️</span>
+                        <span className="hidden sm:inline">Delete</span>
+                      </span>
+                    </button>
+                  </div>
                 </div>
-              </div>
-            ))}
-          </div>
+              ))}
+            </div>
+          )}
+
+          {/* Pagination - infinite scroll with a manual fallback */}
+          {page.hasMore && (
+            <div ref={loadMoreRef} className="flex justify-center mt-6">
+              <button
+                onClick={loadMore}
+                disabled={loadingMore}
+                className="px-4 py-2 bg-white/10 hover:bg-white/20 border border-white/20 text-white rounded-lg text-sm font-semibold transition-all duration-300 disabled:opacity-50"
+              >
+                {loadingMore ? 'Loading...' : `Load more (${strips.length} of ${page.total})`}
+              </button>
+            </div>
+          )}
+          </>
+        )}
+
+        {activeTab === 'queue' && (
+          <PrintQueue selectedEventId={selectedEventId} onNotify={setNotification} />
+        )}
+
+        {activeTab === 'stats' && (
+          <StatsView selectedEventId={selectedEventId} onNotify={setNotification} />
+        )}
+
+        {activeTab === 'trash' && (
+          <TrashBin selectedEventId={selectedEventId} onNotify={setNotification} onRestored={load} />
+        )}
+
+        {activeTab === 'activity' && (
+          <ActivityLog selectedEventId={selectedEventId} onNotify={setNotification} />
         )}
 
-        {/* Print Component */}
-        {printingStrip && (
-          <PrintStrip
-            strip={printingStrip}
-            onClose={() => setPrintingStrip(null)}
-          />
+        {activeTab === 'backup' && (
+          <BackupPanel onNotify={setNotification} onRestored={load} />
         )}
       </div>
     </div>
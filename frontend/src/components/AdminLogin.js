@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { login } from "../utils/adminApi";
+
+export default function AdminLogin({ onLogin, message }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submitting) return;
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const session = await login(username, password);
+      setPassword('');
+      onLogin(session);
+    } catch (error) {
+      setError(error.response?.data?.message || `❌ Login failed: ${error.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 sm:p-8 border border-white/20 shadow-2xl w-full max-w-sm"
+      >
+        <div className="text-center mb-6">
+          <div className="w-14 h-14 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center mx-auto mb-3">
+            <span className="text-2xl">🔐</span>
+          </div>
+          <h1 className="text-2xl font-bold text-white">Admin Login</h1>
+          <p className="text-sm text-gray-300">Sign in to manage your photo strips</p>
+        </div>
+
+        {message && !error && (
+          <div className="mb-4 p-3 bg-orange-500/20 border border-orange-500/30 text-orange-200 rounded-lg text-sm">
+            {message}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 text-red-200 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        <label className="block text-white/80 text-sm font-medium mb-1" htmlFor="adminUsername">Username</label>
+        <input
+          id="adminUsername"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="w-full mb-4 px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40 focus:outline-none focus:border-purple-400"
+          placeholder="admin"
+          required
+        />
+
+        <label className="block text-white/80 text-sm font-medium mb-1" htmlFor="adminPassword">Password</label>
+        <input
+          id="adminPassword"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full mb-6 px-4 py-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-white/40 focus:outline-none focus:border-purple-400"
+          required
+        />
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full py-3 rounded-xl font-semibold text-white bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 disabled:opacity-50 transition-all duration-300"
+        >
+          {submitting ? 'Signing in...' : '🔓 Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import adminApi, { API_BASE_URL, getSession } from "../utils/adminApi";
+
+const COLLECTIONS = [
+  ['events', 'Events'],
+  ['templates', 'Templates'],
+  ['settings', 'Booth settings'],
+  ['strips', 'Strips']
+];
+
+// Download a full backup, or restore one into this server
+export default function BackupPanel({ onNotify, onRestored }) {
+  const [file, setFile] = useState(null);
+  const [replaceSettings, setReplaceSettings] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const download = () => {
+    const link = document.createElement('a');
+    // A plain link cannot send the Authorization header
+    link.href = `${API_BASE_URL}/api/backup?${new URLSearchParams({ token: getSession()?.token || '' })}`;
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    onNotify({ type: 'success', message: '💾 Preparing the backup - the download will start shortly' });
+  };
+
+  const restore = async () => {
+    if (!file) return;
+    if (!window.confirm(`Restore ${file.name} into this server?\n\nItems that already exist are skipped${replaceSettings ? ', but existing booth settings are replaced' : ''}.`)) return;
+
+    const formData = new FormData();
+    formData.append('replaceSettings', String(replaceSettings));
+    formData.append('archive', file);
+
+    try {
+      setReport(null);
+      setProgress(0);
+      const res = await adminApi.post('/api/backup/restore', formData, {
+        onUploadProgress: (event) => event.total && setProgress(Math.round((event.loaded / event.total) * 100))
+      });
+      setReport(res.data.report);
+      setFile(null);
+      onNotify({ type: 'success', message: res.data.message });
+      onRestored();
+    } catch (error) {
+      onNotify({ type: 'error', message: `❌ Failed to restore backup: ${error.response?.data?.message || error.message}` });
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const busy = progress !== null;
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-2">
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+        <h3 className="text-lg sm:text-xl font-bold text-white mb-2">💾 Download Backup</h3>
+        <p className="text-white/60 text-sm mb-4">
+          One archive with every event, template, booth setting and strip, including the images and the trash.
+          Print jobs, the activity log and admin accounts are not included.
+        </p>
+        <button
+          onClick={download}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500 to-cyan-500 hover:from-blue-600 hover:to-cyan-600 text-white rounded-lg text-sm font-semibold"
+        >
+          📥 Download Backup
+        </button>
+      </div>
+
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+        <h3 className="text-lg sm:text-xl font-bold text-white mb-2">♻️ Restore Backup</h3>
+        <p className="text-white/60 text-sm mb-4">
+          Imports a backup into this server with new IDs. Events with the same link, templates with the same name and size
+          and strips that are already here are skipped.
+        </p>
+        <input
+          type="file"
+          accept=".gz,.tgz,application/gzip"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          disabled={busy}
+          className="block w-full text-sm text-white/80 file:mr-3 file:px-3 file:py-2 file:rounded-lg file:border-0 file:bg-white/20 file:text-white"
+        />
+        <label className="mt-3 flex items-center gap-2 text-white/80 text-sm">
+          <input
+            type="checkbox"
+            checked={replaceSettings}
+            onChange={(e) => setReplaceSettings(e.target.checked)}
+            disabled={busy}
+          />
+          Replace existing booth settings
+        </label>
+        <button
+          onClick={restore}
+          disabled={!file || busy}
+          className="mt-4 px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+        >
+          {busy ? (progress < 100 ? `Uploading ${progress}%...` : 'Restoring...') : '♻️ Restore'}
+        </button>
+
+        {report && (
+          <table className="mt-4 w-full text-sm text-left">
+            <thead>
+              <tr className="text-white/50">
+                <th className="font-medium"></th>
+                <th className="font-medium">Imported</th>
+                <th className="font-medium">Skipped</th>
+              </tr>
+            </thead>
+            <tbody className="text-white">
+              {COLLECTIONS.map(([key, label]) => (
+                <tr key={key} className="border-t border-white/10">
+                  <td className="py-1 text-white/80">{label}</td>
+                  <td className="py-1">{report[key].imported}</td>
+                  <td className="py-1">{report[key].skipped}</td>
+                </tr>
+              ))}
+              <tr className="border-t border-white/10">
+                <td className="py-1 text-white/80">Images</td>
+                <td className="py-1">{report.media.restored}</td>
+                <td className={`py-1 ${report.media.missing ? 'text-yellow-300' : ''}`}>
+                  {report.media.missing ? `${report.media.missing} missing` : '—'}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
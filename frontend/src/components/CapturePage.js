@@ -1,34 +1,64 @@
 import { useRef, useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
 import axios from "axios";
 import axiosRetry from 'axios-retry';
+import { QRCodeSVG } from 'qrcode.react';
+import { DEFAULT_LAYOUT, normalizeLayout, slotLabel } from "../utils/stripLayout";
+import { subscribeLiveUpdates } from "../utils/liveUpdates";
+import { isOutboxSupported, addToOutbox, updateOutboxEntry, removeFromOutbox, listOutbox, countOutbox } from "../utils/uploadOutbox";
 import './MobileCamera.css';
 
+// Longest Retry-After the booth waits out on its own after a 429
+const MAX_RATE_LIMIT_WAIT_MS = 30000;
+
 // Configure axios retry with enhanced UX and smart retry logic
 axiosRetry(axios, {
   retries: 3,
   retryDelay: (retryCount, error) => {
     // Log retry attempts for debugging
     console.warn(`🔄 Retry attempt ${retryCount}/3 due to:`, error.message);
-    return axiosRetry.exponentialDelay(retryCount);
+    // Passing the error makes a 429 wait at least as long as its Retry-After header
+    return axiosRetry.exponentialDelay(retryCount, error);
   },
   retryCondition: (error) => {
-    // Smart retry: Only retry on network errors and 5xx server errors
+    // Smart retry: Only retry on network errors, 5xx server errors and short rate limits
     // Don't retry on 400 (Bad Request), 401 (Unauthorized), 403 (Forbidden), 404 (Not Found)
+    // A 429 was rejected before processing, so even uploads are safe to repeat.
+    // Strip uploads carry an Idempotency-Key, so a repeat never creates a second strip
+    // and a 409 just means the first attempt is still being processed
     return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
-           (error.response && error.response.status >= 500);
+           (error.response && error.response.status >= 500) ||
+           (error.response?.status === 429 && axiosRetry.retryAfter(error) <= MAX_RATE_LIMIT_WAIT_MS) ||
+           error.response?.data?.code === 'UPLOAD_IN_PROGRESS';
   }
 });
 
 // Remove global timeout - let requests take time they need
 // Only critical uploads will have specific timeouts
 
+const DEFAULT_SHARE_QR_SECONDS = 30;
+const OUTBOX_RETRY_MS = 30000; // How often queued strips are retried while any are waiting
+
+// The server never handled the upload, so the strip is worth keeping for a later attempt
+const isRetryableUploadError = (error) => !error.response ||
+  error.response.status >= 500 ||
+  error.response.status === 429 ||
+  error.response.data?.code === 'UPLOAD_IN_PROGRESS';
+
+// Idempotency-Key for one capture session; randomUUID needs HTTPS, getRandomValues works on a LAN booth too
+const newUploadKey = () => (window.crypto.randomUUID
+  ? window.crypto.randomUUID()
+  : Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join(''));
+
 export default function CapturePage() {
+  const { slug: eventSlug } = useParams(); // Set when opened via /e/:slug
   const canvasRef = useRef(null);
   const [steps, setSteps] = useState(0);
   const [showNextPhotoMessage, setShowNextPhotoMessage] = useState(false);
   const useMobileCamera = true; // Always use mobile camera now
   const [settings, setSettings] = useState({
-    template: null // Template image instead of background color
+    template: null, // Template image instead of background color
+    layout: DEFAULT_LAYOUT // Canvas size and photo box positions
   });
   const [notification, setNotification] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -40,10 +70,25 @@ export default function CapturePage() {
   const [isCanvasReady, setIsCanvasReady] = useState(false); // Track canvas rendering state
   const [isCanvasProtected, setIsCanvasProtected] = useState(false); // Prevent canvas clearing during submission
   const [isOffline, setIsOffline] = useState(false); // Track network status
+  const [eventInfo, setEventInfo] = useState(null); // Event loaded from /e/:slug
+  const [uploadProgress, setUploadProgress] = useState(null); // Upload percentage while submitting
+  const [shareInfo, setShareInfo] = useState(null); // { url, shareId, secondsLeft, paused } for the post-submit QR code
+  const [shareEmail, setShareEmail] = useState({ address: '', sending: false, result: null }); // Optional email copy
+  const uploadKeyRef = useRef(null); // Reused by every attempt to submit the current strip
+  const [pendingUploads, setPendingUploads] = useState(0); // Strips waiting in the offline outbox
+  const [isFlushing, setIsFlushing] = useState(false); // Outbox upload in progress
+  const flushingRef = useRef(false);
 
   // Fallback API URL if environment variable is not set
   const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
+  // Keep offline caches separate per event
+  const templateCacheKey = eventSlug ? `cachedTemplate:${eventSlug}` : 'cachedTemplate';
+  const layoutCacheKey = eventSlug ? `cachedLayout:${eventSlug}` : 'cachedLayout';
+
+  const layout = settings.layout || DEFAULT_LAYOUT;
+  const slotCount = layout.slots.length;
+
   // Monitor network status for offline handling
   useEffect(() => {
     const handleOnline = () => {
@@ -65,9 +110,138 @@ export default function CapturePage() {
     };
   }, []);
 
+  // POST one finished strip; `entry` is { key, blob, template, event }
+  const postStrip = useCallback((entry, config = {}) => {
+    const formData = new FormData();
+    formData.append('image', entry.blob, 'strip.jpg');
+    if (entry.template) formData.append('template', entry.template);
+    if (entry.event) formData.append('event', entry.event);
+
+    return axios.post(`${API_BASE_URL}/api/strips`, formData, {
+      ...config,
+      headers: { 'Idempotency-Key': entry.key },
+      timeout: 60000 // 60 second timeout
+    });
+  }, [API_BASE_URL]);
+
+  const refreshPendingUploads = useCallback(() => {
+    if (!isOutboxSupported()) return;
+    countOutbox().then(setPendingUploads).catch((error) => console.error('❌ Failed to read the upload outbox:', error));
+  }, []);
+
+  // Upload queued strips oldest first; stops at the first one that still can't get through
+  const flushOutbox = useCallback(async () => {
+    if (flushingRef.current || !isOutboxSupported()) return;
+    flushingRef.current = true;
 
+    try {
+      const entries = await listOutbox();
+      if (entries.length > 0) setIsFlushing(true);
+
+      for (const entry of entries) {
+        try {
+          // The outbox is the retry mechanism here
+          await postStrip(entry, { 'axios-retry': { retries: 0 } });
+          await removeFromOutbox(entry.key);
+          console.log(`📤 Uploaded queued strip ${entry.key}`);
+        } catch (error) {
+          if (isRetryableUploadError(error)) {
+            await updateOutboxEntry({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+            break;
+          }
+          // Rejected by the server (e.g. the layout changed) - it would never be accepted
+          await removeFromOutbox(entry.key);
+          console.error(`❌ Queued strip ${entry.key} was rejected:`, error.response.data?.message || error.message);
+          setNotification({
+            type: "error",
+            message: `❌ A saved strip could not be uploaded: ${error.response.data?.message || error.message}`
+          });
+        }
+      }
+    } catch (error) {
+      console.error('❌ Upload outbox error:', error);
+    } finally {
+      flushingRef.current = false;
+      setIsFlushing(false);
+      refreshPendingUploads();
+    }
+  }, [postStrip, refreshPendingUploads]);
+
+  // Send queued strips on load and as soon as the connection is back
+  useEffect(() => {
+    flushOutbox();
+    window.addEventListener('online', flushOutbox);
+    return () => window.removeEventListener('online', flushOutbox);
+  }, [flushOutbox]);
+
+  // The online event is not reliable on every device (and Wi-Fi can be up without internet)
+  useEffect(() => {
+    if (pendingUploads === 0) return undefined;
+    const timer = setInterval(flushOutbox, OUTBOX_RETRY_MS);
+    return () => clearInterval(timer);
+  }, [pendingUploads, flushOutbox]);
+
+
+
+  // Create a default background when no template is available
+  const createDefaultBackground = useCallback((ctx, width, height) => {
+    console.log('🎨 Creating default background to prevent blank strips');
+
+    // Create a beautiful gradient background instead of blank canvas
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, '#667eea');    // Purple-blue top
+    gradient.addColorStop(0.5, '#764ba2');  // Purple middle
+    gradient.addColorStop(1, '#f093fb');    // Pink bottom
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
 
-  // Initialize canvas with template background - 660×1800 pixels at 300 DPI (2.2×6 inch)
+    // Add subtle pattern overlay
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+    for (let i = 0; i < width; i += 40) {
+      for (let j = 0; j < height; j += 40) {
+        if ((i + j) % 80 === 0) {
+          ctx.fillRect(i, j, 20, 20);
+        }
+      }
+    }
+
+    console.log('✅ Default background created - no more blank strips!');
+  }, []);
+
+  // Photo box borders from the configured layout
+  const addBeautifulText = useCallback((ctx) => {
+    const { slots, border } = layout;
+    if (!border.enabled || border.width <= 0) {
+      console.log('🎨 Layout borders disabled - skipping photo box borders');
+      return;
+    }
+
+    console.log('🎨 Adding photo box borders to canvas');
+    // Keep the stroke just outside the photo so it never covers the picture
+    const offset = border.width / 2 + 1;
+
+    slots.forEach((slot, index) => {
+      ctx.save();
+
+      // Prominent border for better contrast and visibility
+      ctx.strokeStyle = border.color;
+      ctx.lineWidth = border.width;
+      ctx.strokeRect(slot.x - offset, slot.y - offset, slot.width + offset * 2, slot.height + offset * 2);
+      console.log(`🖤 Drew border for photo box ${index + 1} at x:${slot.x}, y:${slot.y}`);
+
+      // Add inner shadow effect for more definition
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(slot.x - 1, slot.y - 1, slot.width + 2, slot.height + 2);
+
+      ctx.restore();
+    });
+
+    // Event name removed - no text added to strips anymore
+  }, [layout]);
+
+  // Initialize canvas with template background - sized by the layout (660×1800 = 2×6 inch at 300 DPI by default)
   const initializeCanvas = useCallback(() => {
     // CRITICAL: Don't clear canvas if it's protected during submission
     if (isCanvasProtected) {
@@ -77,8 +251,8 @@ export default function CapturePage() {
 
     if (canvasRef.current) {
       const ctx = canvasRef.current.getContext("2d");
-      const width = 660;   // 2.2 inches × 300 DPI - MATCHES PRINT CSS
-      const height = 1800; // 6 inches × 300 DPI - CORRECT 2×6 inch strip
+      const width = layout.canvasWidth;
+      const height = layout.canvasHeight;
 
       // Set canvas dimensions consistently across environments
       canvasRef.current.width = width;
@@ -100,7 +274,7 @@ export default function CapturePage() {
         const templateToUse = settings.template || cachedTemplate;
         console.log('🖼️ Loading template:', templateToUse.substring(0, 50) + '...');
         const templateImg = new Image();
-        templateImg.crossOrigin = 'anonymous'; // Enable CORS for Cloudinary images
+        templateImg.crossOrigin = 'anonymous'; // Enable CORS for remotely stored images
         templateImg.onload = () => {
           console.log('✅ Template loaded successfully, drawing to canvas');
           // Draw template background to fill entire canvas
@@ -139,65 +313,58 @@ export default function CapturePage() {
         addBeautifulText(ctx);
       }
     }
-  }, [settings.template, cachedTemplate, isCanvasProtected]);
-
-  // Create a default background when no template is available
-  const createDefaultBackground = useCallback((ctx, width, height) => {
-    console.log('🎨 Creating default background to prevent blank strips');
-
-    // Create a beautiful gradient background instead of blank canvas
-    const gradient = ctx.createLinearGradient(0, 0, 0, height);
-    gradient.addColorStop(0, '#667eea');    // Purple-blue top
-    gradient.addColorStop(0.5, '#764ba2');  // Purple middle
-    gradient.addColorStop(1, '#f093fb');    // Pink bottom
-
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, width, height);
-
-    // Add subtle pattern overlay
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
-    for (let i = 0; i < width; i += 40) {
-      for (let j = 0; j < height; j += 40) {
-        if ((i + j) % 80 === 0) {
-          ctx.fillRect(i, j, 20, 20);
-        }
-      }
-    }
-
-    console.log('✅ Default background created - no more blank strips!');
-  }, []);
+  }, [settings.template, layout, cachedTemplate, isCanvasProtected, createDefaultBackground, addBeautifulText]);
 
   // Load settings from backend API
   const loadSettings = useCallback(async () => {
     try {
       console.log('🔍 Loading settings from backend API...');
-      const response = await axios.get(`${API_BASE_URL}/api/settings`);
+      const response = await axios.get(`${API_BASE_URL}/api/settings`, {
+        params: eventSlug ? { event: eventSlug } : undefined
+      });
 
+      setEventInfo(response.data.event || null);
       const backendSettings = {
-        template: response.data.templateUrl || null // Use templateUrl from backend
+        template: response.data.templateUrl || null, // Use templateUrl from backend
+        layout: normalizeLayout(response.data.layout),
+        shareQrSeconds: response.data.shareQrSeconds ?? DEFAULT_SHARE_QR_SECONDS,
+        emailEnabled: !!response.data.emailEnabled
       };
 
       console.log('✅ Backend settings loaded successfully');
-      setSettings(backendSettings);
+      // Keep the same layout object when nothing changed so the canvas is not redrawn
+      setSettings(prev => ({
+        ...backendSettings,
+        layout: JSON.stringify(prev.layout) === JSON.stringify(backendSettings.layout) ? prev.layout : backendSettings.layout
+      }));
 
       // Cache template for offline use
       if (backendSettings.template) {
         setCachedTemplate(backendSettings.template);
-        localStorage.setItem('cachedTemplate', backendSettings.template);
+        localStorage.setItem(templateCacheKey, backendSettings.template);
         console.log('💾 Template cached for offline use');
       }
+      localStorage.setItem(layoutCacheKey, JSON.stringify(backendSettings.layout));
 
       // Template loaded silently - no notification shown
     } catch (error) {
       console.error('❌ Error loading settings from backend:', error);
 
+      if (error.response?.status === 404 && eventSlug) {
+        setNotification({
+          type: "error",
+          message: `❌ Event "${eventSlug}" was not found. Please check the booth link.`
+        });
+      }
+
       // Fallback to localStorage if backend fails
       try {
         const savedSettings = localStorage.getItem('photoBoothSettings');
-        const savedTemplate = localStorage.getItem('cachedTemplate');
+        const savedTemplate = localStorage.getItem(templateCacheKey);
+        const savedLayout = normalizeLayout(JSON.parse(localStorage.getItem(layoutCacheKey) || 'null'));
 
         if (savedSettings) {
-          const parsedSettings = JSON.parse(savedSettings);
+          const parsedSettings = { ...JSON.parse(savedSettings), layout: savedLayout };
           // Use cached template if available and current template is missing
           if (savedTemplate && !parsedSettings.template) {
             parsedSettings.template = savedTemplate;
@@ -210,40 +377,50 @@ export default function CapturePage() {
           // Even if no settings, use cached template
           console.log('💾 Using cached template only');
           setSettings({
-            template: savedTemplate
+            template: savedTemplate,
+            layout: savedLayout
           });
           setCachedTemplate(savedTemplate);
         } else {
           console.log('⚠️ No fallback settings found, using defaults');
           setSettings({
-            template: null
+            template: null,
+            layout: savedLayout
           });
         }
       } catch (fallbackError) {
         console.error('❌ Fallback also failed:', fallbackError);
         // Try to use cached template even if parsing fails
-        const savedTemplate = localStorage.getItem('cachedTemplate');
+        const savedTemplate = localStorage.getItem(templateCacheKey);
         setSettings({
-          template: savedTemplate || null
+          template: savedTemplate || null,
+          layout: DEFAULT_LAYOUT
         });
         setCachedTemplate(savedTemplate);
       }
     }
-  }, [API_BASE_URL]);
+  }, [API_BASE_URL, eventSlug, templateCacheKey, layoutCacheKey]);
 
   // Load settings on component mount
   useEffect(() => {
     loadSettings();
   }, [loadSettings]);
 
-  // Auto-refresh settings every 10 seconds to catch admin changes
+  // Reload settings when an admin changes them (pushed live by the backend)
   useEffect(() => {
-    const interval = setInterval(() => {
-      loadSettings();
-    }, 10000); // Refresh every 10 seconds
-
-    return () => clearInterval(interval);
-  }, [loadSettings]);
+    let connectedBefore = false;
+    return subscribeLiveUpdates({ event: eventSlug }, {
+      ready: () => {
+        // Catch up on changes missed while disconnected
+        if (connectedBefore) loadSettings();
+        connectedBefore = true;
+      },
+      'settings-updated': () => {
+        console.log('📡 Settings changed by admin, reloading...');
+        loadSettings();
+      }
+    });
+  }, [eventSlug, loadSettings]);
 
   // Initialize canvas when settings change (CRITICAL FIX: Don't clear during capture)
   useEffect(() => {
@@ -254,39 +431,7 @@ export default function CapturePage() {
     } else if (capturedPhotos.length > 0 || steps > 0) {
       console.log('⚠️ Settings changed but photos captured - NOT clearing canvas to prevent blank strips');
     }
-  }, [settings.template, initializeCanvas, capturedPhotos.length, steps]);
-
-  // Photo boxes layout with optimized dimensions
-  const addBeautifulText = (ctx) => {
-    console.log('🎨 Adding beautiful text and BLACK BORDERS to canvas');
-    const canvasWidth = 660;   // Actual canvas width
-    const photoWidth = 520;    // Custom width for photo boxes
-    const photoHeight = 385;   // Custom height for photo boxes (increased even more)
-    const photoX = (canvasWidth - photoWidth) / 2; // Center the photo boxes
-
-    // Photo frame positions - increased gaps further
-    const photoPositions = [90, 515, 940]; // Increased gaps further between all boxes
-
-    // Add prominent black borders around photo frames
-    photoPositions.forEach((photoY, index) => {
-      ctx.save();
-
-      // Prominent black border for better contrast and visibility
-      ctx.strokeStyle = 'rgba(0, 0, 0, 1.0)'; // Full opacity black
-      ctx.lineWidth = 4; // Thicker border for better visibility
-      ctx.strokeRect(photoX - 3, photoY - 3, photoWidth + 6, photoHeight + 6);
-      console.log(`🖤 Drew BLACK BORDER for photo box ${index + 1} at position y:${photoY}`);
-
-      // Add inner shadow effect for more definition
-      ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
-      ctx.lineWidth = 1;
-      ctx.strokeRect(photoX - 1, photoY - 1, photoWidth + 2, photoHeight + 2);
-
-      ctx.restore();
-    });
-
-    // Event name removed - no text added to strips anymore
-  };
+  }, [settings.template, settings.layout, initializeCanvas, capturedPhotos.length, steps]);
 
   // Force landscape orientation on mobile devices
   useEffect(() => {
@@ -415,7 +560,7 @@ export default function CapturePage() {
       return;
     }
 
-    if (steps >= 3 || isProcessing) {
+    if (steps >= slotCount || isProcessing) {
       console.log('❌ Cannot capture - steps:', steps, 'isProcessing:', isProcessing);
       return;
     }
@@ -492,19 +637,9 @@ export default function CapturePage() {
       throw new Error('Canvas not ready after delay');
     }
 
-    // Photo frames - MUST match live camera dimensions exactly
-    const photoWidth = 520;    // Match white box width exactly
-    const photoHeight = 385;   // Match white box height exactly
-    const photoX = (660 - photoWidth) / 2; // Center the photo boxes
-
-    // Y positions - same as live camera
-    const photoPositions = [
-      90,   // First photo box Y position
-      515,  // Second photo box Y position
-      940   // Third photo box Y position
-    ];
-
-    const photoY = photoPositions[steps] || photoPositions[0];
+    // Photo box for this step from the configured layout
+    const slot = layout.slots[steps] || layout.slots[0];
+    const { x: photoX, y: photoY, width: photoWidth, height: photoHeight } = slot;
 
     // Create temporary canvas for processing (same as live camera)
     const tempCanvas = document.createElement('canvas');
@@ -576,7 +711,9 @@ export default function CapturePage() {
     const newCapturedPhotos = [...capturedPhotos, {
       data: capturedPhotoData,
       x: photoX,
-      y: photoY
+      y: photoY,
+      width: photoWidth,
+      height: photoHeight
     }];
     setCapturedPhotos(newCapturedPhotos);
     console.log(`✅ Mobile photo ${steps + 1} captured successfully, data size: ${(capturedPhotoData.length / 1024).toFixed(1)}KB`);
@@ -589,7 +726,7 @@ export default function CapturePage() {
     const redrawCanvas = async () => {
       try {
         // Step 1: Clear canvas completely
-        ctx.clearRect(0, 0, 660, 1800);
+        ctx.clearRect(0, 0, layout.canvasWidth, layout.canvasHeight);
 
         // Step 2: Draw template background first (if available)
         if (settings.template) {
@@ -600,13 +737,13 @@ export default function CapturePage() {
           await new Promise((resolve) => {
             const timeout = setTimeout(() => {
               console.warn('⚠️ Template load timeout, using default background');
-              createDefaultBackground(ctx, 660, 1800);
+              createDefaultBackground(ctx, layout.canvasWidth, layout.canvasHeight);
               resolve();
             }, 3000);
 
             templateImg.onload = () => {
               clearTimeout(timeout);
-              ctx.drawImage(templateImg, 0, 0, 660, 1800);
+              ctx.drawImage(templateImg, 0, 0, layout.canvasWidth, layout.canvasHeight);
               console.log('✅ Template background drawn');
               resolve();
             };
@@ -614,7 +751,7 @@ export default function CapturePage() {
             templateImg.onerror = () => {
               clearTimeout(timeout);
               console.warn('⚠️ Template failed to load, using default background');
-              createDefaultBackground(ctx, 660, 1800);
+              createDefaultBackground(ctx, layout.canvasWidth, layout.canvasHeight);
               resolve();
             };
 
@@ -622,7 +759,7 @@ export default function CapturePage() {
           });
         } else {
           console.log('📄 Using default background (no template)');
-          createDefaultBackground(ctx, 660, 1800);
+          createDefaultBackground(ctx, layout.canvasWidth, layout.canvasHeight);
         }
 
         // Step 3: Draw ALL photos sequentially to prevent race conditions
@@ -640,7 +777,7 @@ export default function CapturePage() {
             const photoImg = new Image();
             photoImg.onload = () => {
               clearTimeout(timeout);
-              ctx.drawImage(photoImg, 0, 0, photoWidth, photoHeight, photo.x, photo.y, photoWidth, photoHeight);
+              ctx.drawImage(photoImg, 0, 0, photo.width, photo.height, photo.x, photo.y, photo.width, photo.height);
               console.log(`✅ Photo ${i + 1} drawn at x:${photo.x}, y:${photo.y}`);
               resolve();
             };
@@ -678,7 +815,7 @@ export default function CapturePage() {
     setSteps(prev => prev + 1);
 
     // Show "Next Photo" message after capture (except for the last photo)
-    if (steps < 2) {
+    if (steps < slotCount - 1) {
       setShowNextPhotoMessage(true);
       setTimeout(() => {
         setShowNextPhotoMessage(false);
@@ -714,8 +851,8 @@ export default function CapturePage() {
           templateImg.onload = async () => {
             try {
               // Clear and draw template
-              ctx.clearRect(0, 0, 660, 1800);
-              ctx.drawImage(templateImg, 0, 0, 660, 1800);
+              ctx.clearRect(0, 0, layout.canvasWidth, layout.canvasHeight);
+              ctx.drawImage(templateImg, 0, 0, layout.canvasWidth, layout.canvasHeight);
               console.log('✅ Template redrawn for force redraw');
 
               // Draw all photos synchronously
@@ -724,7 +861,7 @@ export default function CapturePage() {
                   const photoImg = new Image();
                   photoImg.crossOrigin = 'anonymous';
                   photoImg.onload = () => {
-                    ctx.drawImage(photoImg, 0, 0, 520, 385, photo.x, photo.y, 520, 385);
+                    ctx.drawImage(photoImg, 0, 0, photo.width, photo.height, photo.x, photo.y, photo.width, photo.height);
                     console.log(`✅ Force redraw: Photo ${index + 1} drawn at x:${photo.x}, y:${photo.y}`);
                     photoResolve();
                   };
@@ -749,7 +886,7 @@ export default function CapturePage() {
         });
       } else {
         // Redraw with default background
-        createDefaultBackground(ctx, 660, 1800);
+        createDefaultBackground(ctx, layout.canvasWidth, layout.canvasHeight);
         console.log('✅ Default background redrawn for force redraw');
 
         // Draw all photos synchronously
@@ -757,7 +894,7 @@ export default function CapturePage() {
           return new Promise((photoResolve) => {
             const photoImg = new Image();
             photoImg.onload = () => {
-              ctx.drawImage(photoImg, 0, 0, 520, 385, photo.x, photo.y, 520, 385);
+              ctx.drawImage(photoImg, 0, 0, photo.width, photo.height, photo.x, photo.y, photo.width, photo.height);
               console.log(`✅ Force redraw: Photo ${index + 1} drawn (no template) at x:${photo.x}, y:${photo.y}`);
               photoResolve();
             };
@@ -790,9 +927,39 @@ export default function CapturePage() {
 
   // Live camera capture functions removed
 
+  // Start over for the next guest
+  const resetCapture = () => {
+    uploadKeyRef.current = null;
+    setSteps(0);
+    setCapturedPhotos([]);
+    setIsCanvasReady(false);
+    initializeCanvas();
+  };
+
+  // Keep a strip that couldn't be uploaded; resolves to false if it could not be stored either
+  const queueStrip = async (entry) => {
+    if (!isOutboxSupported()) return false;
+    try {
+      await addToOutbox(entry);
+    } catch (error) {
+      console.error('❌ Failed to save strip to the upload outbox:', error);
+      return false;
+    }
+
+    console.warn(`📦 Strip ${entry.key} saved to the upload outbox`);
+    setNotification({
+      type: "success",
+      message: "📦 No connection right now - your strip is saved and will be sent for print automatically."
+    });
+    refreshPendingUploads();
+    resetCapture();
+    return true;
+  };
+
   const submit = async () => {
     if (isSubmitting) return;
 
+    let entry = null;
     try {
       setIsSubmitting(true);
       setNotification(null);
@@ -810,24 +977,46 @@ export default function CapturePage() {
       console.log(`🖼️ Canvas ready: ${isCanvasReady}`);
 
       // Basic validation - canvas should already be drawn from mobile capture
-      if (capturedPhotos.length !== 3) {
-        throw new Error(`Need 3 photos, only have ${capturedPhotos.length}`);
+      if (capturedPhotos.length !== slotCount) {
+        throw new Error(`Need ${slotCount} photos, only have ${capturedPhotos.length}`);
       }
 
       // Wait a moment for any pending canvas operations
       await new Promise(resolve => setTimeout(resolve, 500));
       console.log('✅ Canvas validation completed');
 
-      // Get canvas data after ensuring all photos are drawn
-      const dataUrl = canvasRef.current.toDataURL("image/jpeg", 0.8);
-      console.log('� Canvas data size:', (dataUrl.length / 1024).toFixed(1), 'KB');
-
-      // Simple upload with timeout
-      const response = await axios.post(`${API_BASE_URL}/api/strips`, {
-        image: dataUrl,
-        template: settings.template
-      }, {
-        timeout: 60000 // 60 second timeout
+      // Get canvas as a binary JPEG after ensuring all photos are drawn
+      const blob = await new Promise((resolve, reject) => {
+        canvasRef.current.toBlob(
+          (result) => (result ? resolve(result) : reject(new Error('Failed to encode strip'))),
+          "image/jpeg",
+          0.8
+        );
+      });
+      console.log('📦 Strip size:', (blob.size / 1024).toFixed(1), 'KB');
+
+      if (!uploadKeyRef.current) uploadKeyRef.current = newUploadKey();
+      entry = { key: uploadKeyRef.current, blob, template: settings.template || null, event: eventSlug || null };
+
+      // No network at all - don't make the guest wait for the retries
+      if (!navigator.onLine && await queueStrip(entry)) return;
+
+      // Multipart upload - no base64 overhead, progress reported to the submit button
+      setUploadProgress(0);
+      const response = await postStrip(entry, {
+        'axios-retry': {
+          onRetry: (retryCount, error) => {
+            setUploadProgress(0);
+            setRetryStatus(error.response?.status === 429
+              ? `⏳ Booth is busy, retrying (${retryCount}/3)...`
+              : `🔄 Connection problem, retrying (${retryCount}/3)...`);
+          }
+        },
+        onUploadProgress: (progressEvent) => {
+          if (progressEvent.total) {
+            setUploadProgress(Math.round((progressEvent.loaded / progressEvent.total) * 100));
+          }
+        }
       });
 
       console.log('✅ Upload successful!');
@@ -836,21 +1025,39 @@ export default function CapturePage() {
         message: "✅ Thank you! Your photo strip has been sent for print."
       });
 
+      // Let the guest scan a link to their digital copy
+      const qrSeconds = settings.shareQrSeconds ?? DEFAULT_SHARE_QR_SECONDS;
+      if (response.data.shareId && qrSeconds > 0) {
+        setShareInfo({
+          url: `${window.location.origin}/s/${response.data.shareId}`,
+          shareId: response.data.shareId,
+          secondsLeft: qrSeconds,
+          paused: false
+        });
+        setShareEmail({ address: '', sending: false, result: null });
+      }
+
       // Reset everything immediately
-      setSteps(0);
-      setCapturedPhotos([]);
-      setIsCanvasReady(false);
-      initializeCanvas();
+      resetCapture();
 
       return;
     } catch (error) {
       console.error('❌ Simple submit error:', error.message);
+
+      // The upload didn't go through - keep the strip and send it once the network is back
+      if (entry && isRetryableUploadError(error) && await queueStrip(entry)) return;
+
       setNotification({
         type: "error",
-        message: "❌ Upload failed. Please try again."
+        // The server explains rejected uploads (bad image, wrong size, rate limits)
+        message: error.response?.status >= 400 && error.response.status < 500 && error.response.data?.message
+          ? error.response.data.message
+          : "❌ Upload failed. Please try again."
       });
     } finally {
       setIsSubmitting(false);
+      setUploadProgress(null);
+      setRetryStatus(null);
     }
   };
 
@@ -859,6 +1066,43 @@ export default function CapturePage() {
 
 
 
+  // Queue an email with the strip for the guest
+  const sendShareEmail = async (e) => {
+    e.preventDefault();
+    if (!shareInfo || !shareEmail.address.trim()) return;
+
+    setShareEmail(prev => ({ ...prev, sending: true, result: null }));
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/api/strips/share/${encodeURIComponent(shareInfo.shareId)}/email`,
+        { email: shareEmail.address.trim() }
+      );
+      setShareEmail({ address: '', sending: false, result: { type: 'success', message: response.data.message } });
+      // Give the guest a moment to read the confirmation, then let the countdown finish
+      setShareInfo(prev => prev && { ...prev, paused: false, secondsLeft: Math.max(prev.secondsLeft, 5) });
+    } catch (error) {
+      console.error('❌ Email request failed:', error.message);
+      setShareEmail(prev => ({
+        ...prev,
+        sending: false,
+        result: { type: 'error', message: error.response?.data?.message || '❌ Could not send the email. Please try again.' }
+      }));
+    }
+  };
+
+  // Count down the share QR code, then hide it for the next guest (paused while typing an email)
+  useEffect(() => {
+    if (!shareInfo || shareInfo.paused) return;
+    if (shareInfo.secondsLeft <= 0) {
+      setShareInfo(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      setShareInfo(prev => prev && { ...prev, secondsLeft: prev.secondsLeft - 1 });
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [shareInfo]);
+
   // Auto-hide notification after 5 seconds
   useEffect(() => {
     if (notification) {
@@ -894,6 +1138,65 @@ export default function CapturePage() {
 
 
 
+      {/* Strips waiting in the upload outbox */}
+      {pendingUploads > 0 && (
+        <div
+          className="fixed bottom-4 left-4 z-30 px-3 py-2 rounded-full bg-black/60 backdrop-blur-lg border border-white/20 text-white text-sm shadow-lg"
+          title="Finished strips are uploaded automatically when the connection is back"
+        >
+          {isFlushing ? '📤' : isOffline ? '📵' : '📦'} {pendingUploads} {pendingUploads === 1 ? 'strip' : 'strips'} waiting to upload
+        </div>
+      )}
+
+      {/* Share QR code after a successful submission */}
+      {shareInfo && (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/70 backdrop-blur-sm p-4">
+          <div className="bg-white rounded-3xl p-6 sm:p-8 text-center shadow-2xl max-w-sm w-full">
+            <h2 className="text-2xl font-black text-purple-900 mb-2">📲 Get your digital copy</h2>
+            <p className="text-gray-600 mb-4">Scan with your phone camera to download or share your strip.</p>
+            <div className="flex justify-center mb-4">
+              <QRCodeSVG value={shareInfo.url} size={220} level="M" includeMargin />
+            </div>
+            {settings.emailEnabled && (
+              <form onSubmit={sendShareEmail} className="mb-4 text-left">
+                <label htmlFor="shareEmail" className="block text-sm text-gray-600 mb-1">Or get it by email (optional)</label>
+                <div className="flex gap-2">
+                  <input
+                    id="shareEmail"
+                    type="email"
+                    inputMode="email"
+                    autoComplete="email"
+                    value={shareEmail.address}
+                    onChange={(e) => setShareEmail(prev => ({ ...prev, address: e.target.value }))}
+                    onFocus={() => setShareInfo(prev => prev && { ...prev, paused: true })}
+                    placeholder="you@example.com"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-xl border border-gray-300 text-gray-900"
+                  />
+                  <button
+                    type="submit"
+                    disabled={shareEmail.sending || !shareEmail.address.trim()}
+                    className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-xl font-bold disabled:opacity-50"
+                  >
+                    {shareEmail.sending ? '⏳' : 'Send'}
+                  </button>
+                </div>
+                {shareEmail.result && (
+                  <p className={`mt-2 text-sm ${shareEmail.result.type === 'success' ? 'text-green-700' : 'text-red-600'}`}>
+                    {shareEmail.result.message}
+                  </p>
+                )}
+              </form>
+            )}
+            <button
+              onClick={() => setShareInfo(null)}
+              className="w-full py-3 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-xl font-bold"
+            >
+              {shareInfo.paused ? 'Done' : `Done (${shareInfo.secondsLeft}s)`}
+            </button>
+          </div>
+        </div>
+      )}
+
       <div className="relative z-10 container mx-auto px-2 sm:px-4 md:px-6 lg:px-8 py-4 sm:py-6 md:py-8 lg:py-12">
         {/* Header - Compact on Mobile */}
         <div className="text-center mb-4 sm:mb-6 md:mb-8 lg:mb-10 desktop-header">
@@ -901,7 +1204,9 @@ export default function CapturePage() {
             <h1 className="text-2xl sm:text-3xl md:text-4xl lg:text-5xl xl:text-6xl font-black text-white mb-2 sm:mb-3 bg-gradient-to-r from-white via-purple-200 to-pink-200 bg-clip-text text-transparent">
               📸 Strip Photobooth
             </h1>
-            <p className="text-sm sm:text-base md:text-lg lg:text-xl text-white/90 font-medium">Create amazing photo strips instantly!</p>
+            <p className="text-sm sm:text-base md:text-lg lg:text-xl text-white/90 font-medium">
+              {eventInfo?.name ? `Welcome to ${eventInfo.name}!` : 'Create amazing photo strips instantly!'}
+            </p>
 
             {/* Refresh Button */}
             <button
@@ -953,7 +1258,7 @@ export default function CapturePage() {
 
             {/* Progress Indicators - Top/Mid/Bot above capture button */}
             <div className="mt-6 sm:mt-8 mb-4 sm:mb-6 flex justify-center space-x-6 sm:space-x-8">
-                {[1, 2, 3].map((step) => (
+                {Array.from({ length: slotCount }, (_, index) => index + 1).map((step) => (
                   <div key={step} className="flex flex-col items-center space-y-2">
                     <div
                       className={`w-5 h-5 sm:w-6 sm:h-6 rounded-full border-2 transition-all duration-500 ${
@@ -967,7 +1272,7 @@ export default function CapturePage() {
                     <span className={`text-sm sm:text-base font-medium transition-colors duration-300 ${
                       steps >= step ? 'text-green-300' : steps + 1 === step ? 'text-blue-300' : 'text-white/70'
                     }`}>
-                      {step === 1 ? 'Top' : step === 2 ? 'Mid' : 'Bot'}
+                      {slotLabel(step - 1, slotCount)}
                     </span>
                   </div>
                 ))}
@@ -989,9 +1294,9 @@ export default function CapturePage() {
                       console.error('❌ Mobile camera input not found');
                     }
                   }}
-                  disabled={steps >= 3 || isProcessing}
+                  disabled={steps >= slotCount || isProcessing}
                   className={`w-full py-3 sm:py-3 md:py-3 px-4 rounded-xl sm:rounded-2xl font-bold text-lg sm:text-base md:text-lg transition-all duration-300 transform relative overflow-hidden mobile-button ${
-                    steps >= 3 || isProcessing
+                    steps >= slotCount || isProcessing
                       ? 'bg-gradient-to-r from-gray-500 to-gray-600 cursor-not-allowed text-gray-200'
                       : 'bg-gradient-to-r from-orange-500 via-red-500 to-pink-500 hover:from-orange-600 hover:via-red-600 hover:to-pink-600 text-white shadow-2xl hover:shadow-red-500/25 hover:scale-105 active:scale-95 border border-white/30'
                   }`}
@@ -1004,8 +1309,8 @@ export default function CapturePage() {
                       </>
                     ) : (
                       <>
-                        <span className="text-2xl sm:text-2xl">{steps >= 3 ? '✅' : '📱'}</span>
-                        <span className="text-lg sm:text-base md:text-lg">{steps >= 3 ? 'All Photos Captured!' : 'Open Mobile Camera'}</span>
+                        <span className="text-2xl sm:text-2xl">{steps >= slotCount ? '✅' : '📱'}</span>
+                        <span className="text-lg sm:text-base md:text-lg">{steps >= slotCount ? 'All Photos Captured!' : 'Open Mobile Camera'}</span>
                       </>
                     )}
                   </div>
@@ -1017,7 +1322,7 @@ export default function CapturePage() {
                   capture="environment"
                   id="mobileCameraInput"
                   onChange={handleMobileCameraCapture}
-                  disabled={steps >= 3 || isProcessing}
+                  disabled={steps >= slotCount || isProcessing}
                   style={{ display: "none" }}
                 />
               </div>
@@ -1026,9 +1331,9 @@ export default function CapturePage() {
             <div className="mt-6 sm:mt-8 mobile-controls desktop-submit-spacing">
               <button
                 onClick={submit}
-                disabled={steps < 3 || isSubmitting || capturedPhotos.length === 0}
+                disabled={steps < slotCount || isSubmitting || capturedPhotos.length === 0}
                 className={`w-full py-4 sm:py-5 px-6 rounded-2xl font-bold text-lg sm:text-xl transition-all duration-300 transform relative overflow-hidden mobile-button ${
-                  steps >= 3 && !isSubmitting && capturedPhotos.length > 0
+                  steps >= slotCount && !isSubmitting && capturedPhotos.length > 0
                     ? 'bg-gradient-to-r from-emerald-500 via-green-500 to-teal-500 hover:from-emerald-600 hover:via-green-600 hover:to-teal-600 text-white shadow-2xl hover:shadow-emerald-500/25 hover:scale-105 active:scale-95'
                     : 'bg-gradient-to-r from-gray-600 to-gray-700 text-gray-400 cursor-not-allowed'
                 }`}
@@ -1037,7 +1342,9 @@ export default function CapturePage() {
                   {isSubmitting ? (
                     <>
                       <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
-                      <span>{retryStatus || "Creating Strip..."}</span>
+                      <span>
+                        {retryStatus || (uploadProgress !== null ? `Uploading... ${uploadProgress}%` : "Creating Strip...")}
+                      </span>
                     </>
                   ) : (
                     <>
@@ -1057,8 +1364,8 @@ export default function CapturePage() {
           {/* Preview Canvas (hidden) */}
           <canvas
             ref={canvasRef}
-            width="660"
-            height="1800"
+            width={layout.canvasWidth}
+            height={layout.canvasHeight}
             className="hidden"
           />
         </div>
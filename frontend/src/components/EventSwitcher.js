@@ -0,0 +1,162 @@
+import { useEffect, useState, useCallback } from "react";
+import adminApi from "../utils/adminApi";
+
+export default function EventSwitcher({ selectedEventId, onSelect, onNotify }) {
+  const [events, setEvents] = useState([]);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newEvent, setNewEvent] = useState({ name: '', startsAt: '', endsAt: '' });
+  const [busy, setBusy] = useState(false);
+
+  const loadEvents = useCallback(async () => {
+    try {
+      const response = await adminApi.get('/api/events');
+      setEvents(response.data);
+    } catch (error) {
+      console.error('Failed to load events:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  const selectedEvent = events.find(e => e._id === selectedEventId) || null;
+
+  // Forget a selection that no longer exists (e.g. deleted in another tab)
+  useEffect(() => {
+    if (selectedEventId && events.length > 0 && !selectedEvent) {
+      onSelect(null);
+    }
+  }, [selectedEventId, events, selectedEvent, onSelect]);
+
+  const createEvent = async (e) => {
+    e.preventDefault();
+    if (!newEvent.name.trim()) return;
+
+    try {
+      setBusy(true);
+      const response = await adminApi.post('/api/events', {
+        name: newEvent.name.trim(),
+        startsAt: newEvent.startsAt || null,
+        endsAt: newEvent.endsAt || null
+      });
+      await loadEvents();
+      onSelect(response.data.event);
+      setNewEvent({ name: '', startsAt: '', endsAt: '' });
+      setShowCreate(false);
+      onNotify({ type: 'success', message: `✅ Event "${response.data.event.name}" created` });
+    } catch (error) {
+      onNotify({ type: 'error', message: `❌ Failed to create event: ${error.response?.data?.message || error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteEvent = async () => {
+    if (!selectedEvent) return;
+    if (!window.confirm(`Delete event "${selectedEvent.name}"? Its settings will be removed; its template stays in the library.`)) return;
+
+    try {
+      setBusy(true);
+      await adminApi.delete(`/api/events/${selectedEvent._id}`);
+      onSelect(null);
+      await loadEvents();
+      onNotify({ type: 'success', message: `🗑️ Event "${selectedEvent.name}" deleted` });
+    } catch (error) {
+      onNotify({ type: 'error', message: `❌ Failed to delete event: ${error.response?.data?.message || error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const captureLink = selectedEvent
+    ? `${window.location.origin}/e/${selectedEvent.slug}`
+    : `${window.location.origin}/`;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-5 border border-white/20 mb-6 sm:mb-8">
+      <div className="flex flex-col lg:flex-row lg:items-center gap-3">
+        <div className="flex items-center gap-3 flex-1">
+          <span className="text-xl">🎉</span>
+          <select
+            value={selectedEventId || ''}
+            onChange={(e) => onSelect(events.find(ev => ev._id === e.target.value) || null)}
+            className="flex-1 px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm sm:text-base"
+          >
+            <option value="">All events (default booth)</option>
+            {events.map(ev => (
+              <option key={ev._id} value={ev._id}>
+                {ev.name} ({ev.stripCount} strips)
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="px-3 py-2 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-lg text-sm font-semibold transition-all duration-300"
+          >
+            ➕ New Event
+          </button>
+          <button
+            onClick={() => window.open(captureLink)}
+            className="px-3 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg text-sm font-semibold transition-all duration-300"
+            title={captureLink}
+          >
+            📷 Open Booth
+          </button>
+          {selectedEvent && (
+            <button
+              onClick={deleteEvent}
+              disabled={busy}
+              className="px-3 py-2 bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 disabled:opacity-50 text-white rounded-lg text-sm font-semibold transition-all duration-300"
+            >
+              🗑️ Delete Event
+            </button>
+          )}
+        </div>
+      </div>
+
+      {selectedEvent && (
+        <p className="mt-3 text-xs sm:text-sm text-gray-300 break-all">
+          Booth link: <span className="text-white font-mono">{captureLink}</span>
+        </p>
+      )}
+
+      {showCreate && (
+        <form onSubmit={createEvent} className="mt-4 grid grid-cols-1 sm:grid-cols-4 gap-3">
+          <input
+            type="text"
+            value={newEvent.name}
+            onChange={(e) => setNewEvent({ ...newEvent, name: e.target.value })}
+            placeholder="Event name"
+            className="sm:col-span-2 px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-white/40 text-sm"
+            required
+          />
+          <input
+            type="date"
+            value={newEvent.startsAt}
+            onChange={(e) => setNewEvent({ ...newEvent, startsAt: e.target.value })}
+            className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm"
+            title="Event start"
+          />
+          <input
+            type="date"
+            value={newEvent.endsAt}
+            onChange={(e) => setNewEvent({ ...newEvent, endsAt: e.target.value })}
+            className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm"
+            title="Event end"
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="sm:col-span-4 px-4 py-2 bg-gradient-to-r from-emerald-500 to-teal-500 hover:from-emerald-600 hover:to-teal-600 disabled:opacity-50 text-white rounded-lg text-sm font-semibold"
+          >
+            {busy ? 'Creating...' : '✅ Create Event'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
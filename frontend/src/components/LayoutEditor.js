@@ -0,0 +1,240 @@
+import { useRef, useState } from "react";
+import { DEFAULT_LAYOUT, MAX_LAYOUT_SLOTS, normalizeLayout } from "../utils/stripLayout";
+
+const PREVIEW_WIDTH = 220; // On-screen width of the strip preview in px
+const MIN_SLOT_SIZE = 10;
+
+const inputClass = "w-full px-2 py-1 rounded-lg bg-slate-800 border border-white/20 text-white text-sm";
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export default function LayoutEditor({ layout: rawLayout, templateUrl, onChange }) {
+  const layout = normalizeLayout(rawLayout);
+  const [selected, setSelected] = useState(0);
+  const dragRef = useRef(null);
+
+  const scale = PREVIEW_WIDTH / layout.canvasWidth;
+  const selectedIndex = Math.min(selected, layout.slots.length - 1);
+  const selectedSlot = layout.slots[selectedIndex];
+
+  const updateSlot = (index, changes) => {
+    const slots = layout.slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot));
+    onChange({ ...layout, slots });
+  };
+
+  // Drag a slot to move it, or its corner handle to resize it
+  const startDrag = (e, index, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSelected(index);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { index, mode, startX: e.clientX, startY: e.clientY, slot: layout.slots[index] };
+  };
+
+  const drag = (e) => {
+    const current = dragRef.current;
+    if (!current) return;
+
+    const dx = Math.round((e.clientX - current.startX) / scale);
+    const dy = Math.round((e.clientY - current.startY) / scale);
+    const { slot } = current;
+
+    if (current.mode === 'move') {
+      updateSlot(current.index, {
+        x: clamp(slot.x + dx, 0, layout.canvasWidth - slot.width),
+        y: clamp(slot.y + dy, 0, layout.canvasHeight - slot.height)
+      });
+    } else {
+      updateSlot(current.index, {
+        width: clamp(slot.width + dx, MIN_SLOT_SIZE, layout.canvasWidth - slot.x),
+        height: clamp(slot.height + dy, MIN_SLOT_SIZE, layout.canvasHeight - slot.y)
+      });
+    }
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const setSlotField = (field, value) => {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) return;
+
+    const limits = {
+      x: [0, layout.canvasWidth - selectedSlot.width],
+      y: [0, layout.canvasHeight - selectedSlot.height],
+      width: [MIN_SLOT_SIZE, layout.canvasWidth - selectedSlot.x],
+      height: [MIN_SLOT_SIZE, layout.canvasHeight - selectedSlot.y]
+    };
+    updateSlot(selectedIndex, { [field]: clamp(number, ...limits[field]) });
+  };
+
+  const setCanvasSize = (field, value) => {
+    const number = parseInt(value, 10);
+    if (!number || number < 100) return;
+    onChange({ ...layout, [field]: number });
+  };
+
+  const addSlot = () => {
+    const last = layout.slots[layout.slots.length - 1];
+    const belowY = last.y + last.height + 40;
+    const slot = belowY + last.height <= layout.canvasHeight
+      ? { ...last, y: belowY }
+      : { ...last, x: 0, y: 0 };
+    onChange({ ...layout, slots: [...layout.slots, slot] });
+    setSelected(layout.slots.length);
+  };
+
+  const removeSlot = () => {
+    if (layout.slots.length <= 1) return;
+    onChange({ ...layout, slots: layout.slots.filter((_, i) => i !== selectedIndex) });
+    setSelected(Math.max(0, selectedIndex - 1));
+  };
+
+  const slotsOutside = layout.slots.some(
+    (slot) => slot.x + slot.width > layout.canvasWidth || slot.y + slot.height > layout.canvasHeight
+  );
+
+  return (
+    <div className="flex flex-col md:flex-row gap-6">
+      {/* Strip preview with draggable photo boxes */}
+      <div
+        className="relative flex-shrink-0 rounded-lg overflow-hidden border border-white/20 select-none touch-none mx-auto md:mx-0"
+        style={{
+          width: PREVIEW_WIDTH,
+          height: layout.canvasHeight * scale,
+          background: templateUrl
+            ? `url(${templateUrl}) center / 100% 100% no-repeat`
+            : 'linear-gradient(180deg, #667eea 0%, #764ba2 50%, #f093fb 100%)'
+        }}
+      >
+        {layout.slots.map((slot, index) => (
+          <div
+            key={index}
+            onPointerDown={(e) => startDrag(e, index, 'move')}
+            onPointerMove={drag}
+            onPointerUp={endDrag}
+            className={`absolute cursor-move flex items-center justify-center text-white font-bold text-sm ${
+              index === selectedIndex ? 'bg-blue-400/50 ring-2 ring-blue-300' : 'bg-white/40 ring-1 ring-black/60'
+            }`}
+            style={{
+              left: slot.x * scale,
+              top: slot.y * scale,
+              width: slot.width * scale,
+              height: slot.height * scale
+            }}
+          >
+            {index + 1}
+            <div
+              onPointerDown={(e) => startDrag(e, index, 'resize')}
+              onPointerMove={drag}
+              onPointerUp={endDrag}
+              className="absolute -right-1 -bottom-1 w-3 h-3 bg-white border border-blue-500 rounded-sm cursor-se-resize"
+              title="Drag to resize"
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Numeric controls */}
+      <div className="flex-1 space-y-4 text-sm text-white">
+        <p className="text-white/60">
+          Drag the boxes to position the photos on your template, and drag a box's corner to resize it.
+          Sizes are in strip pixels ({layout.canvasWidth}×{layout.canvasHeight}).
+        </p>
+
+        <div>
+          <p className="font-semibold mb-2">Canvas size</p>
+          <div className="grid grid-cols-2 gap-2">
+            <label>
+              <span className="text-white/60 text-xs">Width</span>
+              <input type="number" min="100" value={layout.canvasWidth} onChange={(e) => setCanvasSize('canvasWidth', e.target.value)} className={inputClass} />
+            </label>
+            <label>
+              <span className="text-white/60 text-xs">Height</span>
+              <input type="number" min="100" value={layout.canvasHeight} onChange={(e) => setCanvasSize('canvasHeight', e.target.value)} className={inputClass} />
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className="font-semibold">Photo box {selectedIndex + 1} of {layout.slots.length}</p>
+            <div className="flex gap-2">
+              <button
+                onClick={addSlot}
+                disabled={layout.slots.length >= MAX_LAYOUT_SLOTS}
+                className="px-3 py-1 bg-white/10 hover:bg-white/20 disabled:opacity-50 rounded-lg"
+              >
+                ➕ Add
+              </button>
+              <button
+                onClick={removeSlot}
+                disabled={layout.slots.length <= 1}
+                className="px-3 py-1 bg-red-500/80 hover:bg-red-600 disabled:opacity-50 rounded-lg"
+              >
+                ✕ Remove
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-4 gap-2">
+            {['x', 'y', 'width', 'height'].map((field) => (
+              <label key={field}>
+                <span className="text-white/60 text-xs">{field}</span>
+                <input
+                  type="number"
+                  value={selectedSlot[field]}
+                  onChange={(e) => setSlotField(field, e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="font-semibold mb-2">Border</p>
+          <div className="flex items-center gap-3 flex-wrap">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={layout.border.enabled}
+                onChange={(e) => onChange({ ...layout, border: { ...layout.border, enabled: e.target.checked } })}
+              />
+              <span>Draw border</span>
+            </label>
+            <input
+              type="color"
+              value={layout.border.color}
+              onChange={(e) => onChange({ ...layout, border: { ...layout.border, color: e.target.value } })}
+              className="w-10 h-8 rounded bg-transparent"
+              title="Border color"
+            />
+            <label className="flex items-center gap-2">
+              <input
+                type="number"
+                min="0"
+                max="40"
+                value={layout.border.width}
+                onChange={(e) => onChange({ ...layout, border: { ...layout.border, width: clamp(parseInt(e.target.value, 10) || 0, 0, 40) } })}
+                className={`${inputClass} w-20`}
+              />
+              <span className="text-white/60 text-xs">px</span>
+            </label>
+          </div>
+        </div>
+
+        {slotsOutside && (
+          <p className="text-yellow-300">⚠️ Some photo boxes are outside the canvas - move or resize them before saving.</p>
+        )}
+
+        <button
+          onClick={() => onChange(DEFAULT_LAYOUT)}
+          className="px-3 py-2 bg-white/10 hover:bg-white/20 rounded-lg"
+        >
+          ↩️ Reset to default layout
+        </button>
+      </div>
+    </div>
+  );
+}
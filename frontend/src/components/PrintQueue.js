@@ -0,0 +1,288 @@
+import { useEffect, useState, useCallback } from "react";
+import PrintStrip from "./PrintStrip";
+import adminApi from "../utils/adminApi";
+
+const STATUS_STYLES = {
+  queued: 'bg-blue-500',
+  claimed: 'bg-purple-500',
+  printing: 'bg-yellow-500',
+  printed: 'bg-green-500',
+  failed: 'bg-red-500'
+};
+
+const STATUS_LABELS = {
+  queued: '⏳ Queued',
+  claimed: '✋ Claimed',
+  printing: '🖨️ Printing',
+  printed: '✅ Printed',
+  failed: '❌ Failed'
+};
+
+export default function PrintQueue({ selectedEventId, onNotify }) {
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState('queued,claimed,printing,failed');
+  const [station, setStation] = useState(() => localStorage.getItem('printStationName') || '');
+  const [activeJob, setActiveJob] = useState(null); // Job claimed by this station
+  const [printingJob, setPrintingJob] = useState(null); // Job shown in the print preview
+  const [busy, setBusy] = useState(false);
+
+  const eventParams = selectedEventId ? { event: selectedEventId } : {};
+
+  const notifyError = useCallback((action, error) => {
+    onNotify({ type: 'error', message: `❌ Failed to ${action}: ${error.response?.data?.message || error.message}` });
+  }, [onNotify]);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const res = await adminApi.get('/api/print-jobs', {
+        params: {
+          ...(selectedEventId ? { event: selectedEventId } : {}),
+          ...(statusFilter ? { status: statusFilter } : {})
+        }
+      });
+      setJobs(res.data.jobs);
+      setCounts(res.data.counts);
+    } catch (error) {
+      notifyError('load print queue', error);
+    }
+  }, [selectedEventId, statusFilter, notifyError]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const saveStation = (name) => {
+    setStation(name);
+    localStorage.setItem('printStationName', name);
+  };
+
+  const updateStatus = useCallback(async (job, status, error) => {
+    const res = await adminApi.patch(`/api/print-jobs/${job._id}/status`, {
+      status,
+      station: station || undefined,
+      error
+    });
+    return res.data.job;
+  }, [station]);
+
+  const claimNext = async () => {
+    try {
+      setBusy(true);
+      const res = await adminApi.post('/api/print-jobs/claim', { station: station || undefined }, { params: eventParams });
+      if (!res.data.job) {
+        onNotify({ type: 'info', message: 'ℹ️ No queued print jobs' });
+      } else {
+        setActiveJob(res.data.job);
+        onNotify({ type: 'success', message: `✅ Claimed job for ${res.data.job.claimedBy}` });
+      }
+      await loadJobs();
+    } catch (error) {
+      notifyError('claim job', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startPrinting = async () => {
+    try {
+      const job = activeJob.status === 'printing' ? activeJob : await updateStatus(activeJob, 'printing');
+      setActiveJob(job);
+      setPrintingJob(job);
+    } catch (error) {
+      notifyError('start printing', error);
+    }
+  };
+
+  // Ask the operator how the print went once the print dialog closes
+  const finishPrinting = useCallback(async () => {
+    const job = printingJob;
+    setPrintingJob(null);
+    if (!job) return;
+
+    try {
+      if (window.confirm('Did the strip print correctly?\n\nOK = printed, Cancel = mark as failed')) {
+        await updateStatus(job, 'printed');
+        onNotify({ type: 'success', message: '✅ Print job completed' });
+      } else {
+        const reason = window.prompt('What went wrong? (e.g. paper jam, out of ink)', '') || 'Print failed';
+        await updateStatus(job, 'failed', reason);
+        onNotify({ type: 'error', message: '❌ Print job marked as failed' });
+      }
+      setActiveJob(null);
+      await loadJobs();
+    } catch (error) {
+      notifyError('update print job', error);
+    }
+  }, [printingJob, updateStatus, loadJobs, onNotify, notifyError]);
+
+  // Closing the preview without printing keeps the claim
+  const cancelPreview = useCallback(() => setPrintingJob(null), []);
+
+  const releaseJob = async (job) => {
+    try {
+      await updateStatus(job, 'queued');
+      if (activeJob?._id === job._id) setActiveJob(null);
+      await loadJobs();
+    } catch (error) {
+      notifyError('release job', error);
+    }
+  };
+
+  const retryJob = async (job) => {
+    try {
+      await adminApi.post(`/api/print-jobs/${job._id}/retry`);
+      onNotify({ type: 'success', message: '🔄 Print job re-queued' });
+      await loadJobs();
+    } catch (error) {
+      notifyError('retry job', error);
+    }
+  };
+
+  const cancelJob = async (job) => {
+    if (!window.confirm('Remove this job from the print queue?')) return;
+    try {
+      await adminApi.delete(`/api/print-jobs/${job._id}`);
+      await loadJobs();
+    } catch (error) {
+      notifyError('cancel job', error);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Print station */}
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+        <h3 className="text-lg sm:text-xl font-bold text-white mb-3">🖨️ Print Station</h3>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            value={station}
+            onChange={(e) => saveStation(e.target.value)}
+            placeholder="Station name (e.g. Desk 1)"
+            maxLength={50}
+            className="flex-1 px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-white/40 text-sm"
+          />
+          <button
+            onClick={claimNext}
+            disabled={busy || !!activeJob}
+            className="px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 text-white rounded-lg text-sm font-semibold"
+          >
+            ✋ Claim Next Job {counts.queued ? `(${counts.queued} queued)` : ''}
+          </button>
+        </div>
+
+        {activeJob && (
+          <div className="mt-4 flex items-center gap-4 p-3 bg-white/5 rounded-xl border border-white/10">
+            {activeJob.strip && (
+              <img src={activeJob.strip.thumbnailUrl || activeJob.strip.imageUrl} alt="Claimed strip" className="w-12 h-32 object-cover rounded" />
+            )}
+            <div className="flex-1 text-sm text-gray-200">
+              <p className="font-semibold text-white">Claimed by {activeJob.claimedBy}</p>
+              <p>{activeJob.copies} {activeJob.copies === 1 ? 'copy' : 'copies'} · attempt {activeJob.attempts}</p>
+            </div>
+            <div className="flex flex-col gap-2">
+              <button
+                onClick={startPrinting}
+                disabled={!activeJob.strip}
+                className="px-3 py-2 bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+              >
+                🖨️ Print
+              </button>
+              <button
+                onClick={() => releaseJob(activeJob)}
+                className="px-3 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-sm"
+              >
+                ↩️ Release
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Queue */}
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+          <h3 className="text-lg sm:text-xl font-bold text-white">📋 Print Queue</h3>
+          <div className="flex gap-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm"
+            >
+              <option value="queued,claimed,printing,failed">Open jobs</option>
+              <option value="queued">Queued ({counts.queued || 0})</option>
+              <option value="claimed,printing">In progress ({(counts.claimed || 0) + (counts.printing || 0)})</option>
+              <option value="failed">Failed ({counts.failed || 0})</option>
+              <option value="printed">Printed ({counts.printed || 0})</option>
+              <option value="">All jobs</option>
+            </select>
+            <button onClick={loadJobs} className="px-3 py-2 bg-white/10 hover:bg-white/20 text-white rounded-lg text-sm">
+              🔄
+            </button>
+          </div>
+        </div>
+
+        {jobs.length === 0 ? (
+          <p className="text-gray-300 text-sm text-center py-6">No print jobs here.</p>
+        ) : (
+          <div className="space-y-2">
+            {jobs.map(job => (
+              <div key={job._id} className="flex flex-wrap items-center gap-3 p-3 bg-white/5 rounded-xl border border-white/10 text-sm">
+                {job.strip ? (
+                  <img src={job.strip.thumbnailUrl || job.strip.imageUrl} alt="Strip" className="w-8 h-20 object-cover rounded" loading="lazy" />
+                ) : (
+                  <div className="w-8 h-20 bg-white/10 rounded" />
+                )}
+                <span className={`px-2 py-1 rounded text-xs font-semibold text-white ${STATUS_STYLES[job.status]}`}>
+                  {STATUS_LABELS[job.status]}
+                </span>
+                <div className="flex-1 min-w-[160px] text-gray-200">
+                  <p>
+                    {job.copies}× · queued {new Date(job.createdAt).toLocaleTimeString()}
+                    {job.requestedBy && ` by ${job.requestedBy}`}
+                  </p>
+                  {job.claimedBy && (
+                    <p className="text-gray-400">
+                      Claimed by <span className="text-white">{job.claimedBy}</span>
+                      {job.claimedAt && ` at ${new Date(job.claimedAt).toLocaleTimeString()}`} · attempt {job.attempts}
+                    </p>
+                  )}
+                  {job.status === 'failed' && job.lastError && (
+                    <p className="text-red-300">⚠️ {job.lastError}</p>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  {job.status === 'failed' && (
+                    <button onClick={() => retryJob(job)} className="px-3 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded-lg">
+                      🔄 Retry
+                    </button>
+                  )}
+                  {['claimed', 'printing'].includes(job.status) && (
+                    <button onClick={() => releaseJob(job)} className="px-3 py-1 bg-white/10 hover:bg-white/20 text-white rounded-lg">
+                      ↩️ Release
+                    </button>
+                  )}
+                  {['queued', 'failed'].includes(job.status) && (
+                    <button onClick={() => cancelJob(job)} className="px-3 py-1 bg-red-500 hover:bg-red-600 text-white rounded-lg">
+                      ✕
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {printingJob?.strip && (
+        <PrintStrip
+          strip={printingJob.strip}
+          copies={printingJob.copies}
+          onClose={finishPrinting}
+          onCancel={cancelPreview}
+        />
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 import { useEffect, useState } from 'react';
 
-const PrintStrip = ({ strip, onClose }) => {
+const PrintStrip = ({ strip, onClose, onCancel, copies = 1 }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [showInstructions, setShowInstructions] = useState(true);
 
@@ -83,11 +83,21 @@ const PrintStrip = ({ strip, onClose }) => {
                   <p className="text-sm text-gray-600">If available, ensure strip fills entire page</p>
                 </div>
               </div>
+
+              {copies > 1 && (
+                <div className="flex items-start space-x-3">
+                  <div className="bg-orange-500 text-white rounded-full w-6 h-6 flex items-center justify-center text-sm font-bold">4</div>
+                  <div>
+                    <p className="font-semibold text-gray-800">Set Copies to {copies}</p>
+                    <p className="text-sm text-gray-600">This print job asks for {copies} copies</p>
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="flex space-x-3">
               <button
-                onClick={onClose}
+                onClick={onCancel || onClose}
                 className="flex-1 px-4 py-3 bg-gray-200 text-gray-800 rounded-xl font-semibold hover:bg-gray-300 transition-colors"
               >
                 Cancel
@@ -0,0 +1,111 @@
+import { useEffect, useState } from "react";
+import adminApi from "../utils/adminApi";
+
+const inputClass = "px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm";
+
+// Retention policy fields for the settings panel, with a dry-run preview of the unsaved values
+export default function RetentionSettings({ retention, onChange, selectedEventId, onNotify }) {
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // A preview only describes the values it was made with
+  useEffect(() => {
+    setPreview(null);
+  }, [retention, selectedEventId]);
+
+  const update = (field, value) => onChange({ ...retention, [field]: value });
+
+  const loadPreview = async () => {
+    try {
+      setLoading(true);
+      const res = await adminApi.get('/api/settings/retention/preview', {
+        params: { ...retention, ...(selectedEventId ? { event: selectedEventId } : {}) }
+      });
+      setPreview(res.data);
+    } catch (error) {
+      const { message, error: detail } = error.response?.data || {};
+      onNotify({ type: 'error', message: `❌ Failed to preview retention: ${detail || message || error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={retention.mode} onChange={(e) => update('mode', e.target.value)} className={inputClass}>
+          <option value="off">Keep strips until deleted</option>
+          <option value="age">Remove strips older than</option>
+          {selectedEventId && <option value="afterEventEnd">Remove all strips after the event ends, plus</option>}
+        </select>
+        {retention.mode !== 'off' && (
+          <>
+            <input
+              type="number"
+              min="1"
+              max="3650"
+              value={retention.days}
+              onChange={(e) => update('days', Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), 3650))}
+              className={`${inputClass} w-24`}
+            />
+            <span className="text-white/80 text-sm">days</span>
+          </>
+        )}
+      </div>
+
+      {retention.mode !== 'off' && (
+        <>
+          <label className="mt-3 flex items-center gap-2 text-white/80 text-sm">
+            <input
+              type="checkbox"
+              checked={retention.keepStarred}
+              onChange={(e) => update('keepStarred', e.target.checked)}
+            />
+            Keep starred strips
+          </label>
+
+          <button
+            onClick={loadPreview}
+            disabled={loading}
+            className="mt-3 px-4 py-2 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-lg text-white text-sm disabled:opacity-50"
+          >
+            {loading ? 'Checking...' : '🔍 Preview'}
+          </button>
+        </>
+      )}
+
+      {preview && (
+        <div className="mt-4 text-sm text-white/80">
+          {preview.reason ? (
+            <p>ℹ️ Nothing to remove: {preview.cutoff ? `strips are kept until ${new Date(preview.cutoff).toLocaleString()}` : preview.reason}</p>
+          ) : (
+            <p>
+              {preview.strips === 0
+                ? '✅ No strips would be removed right now.'
+                : `🧹 ${preview.strips} ${preview.strips === 1 ? 'strip' : 'strips'} would be moved to the trash.`}
+              {preview.starredKept > 0 && ` ${preview.starredKept} starred ${preview.starredKept === 1 ? 'strip is' : 'strips are'} kept.`}
+            </p>
+          )}
+          {preview.sample.length > 0 && (
+            <div className="mt-2 flex gap-2 overflow-x-auto">
+              {preview.sample.map(strip => (
+                <img
+                  key={strip._id}
+                  src={strip.thumbnailUrl || strip.imageUrl}
+                  alt={`Strip taken ${new Date(strip.timestamp).toLocaleString()}`}
+                  title={new Date(strip.timestamp).toLocaleString()}
+                  loading="lazy"
+                  className="h-20 rounded object-cover"
+                />
+              ))}
+            </div>
+          )}
+          <p className="mt-2 text-white/50 text-xs">
+            This was a dry run - the policy applies once the settings are saved.
+            {preview.nextSweepAt && ` The policy next runs around ${new Date(preview.nextSweepAt).toLocaleTimeString()}.`}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
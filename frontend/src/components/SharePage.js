@@ -0,0 +1,111 @@
+import { useEffect, useState } from "react";
+import { useParams } from "react-router-dom";
+import axios from "axios";
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Public page guests reach by scanning the QR code on the booth
+export default function SharePage() {
+  const { shareId } = useParams();
+  const [strip, setStrip] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/strips/share/${encodeURIComponent(shareId)}`)
+      .then((res) => setStrip(res.data))
+      .catch((err) => setError(err.response?.data?.message || '❌ Could not load this photo strip. Please try again.'));
+  }, [shareId]);
+
+  const fileName = strip
+    ? `photo-strip-${new Date(strip.timestamp).toLocaleDateString().replace(/\//g, '-')}.jpg`
+    : 'photo-strip.jpg';
+
+  const fetchStripFile = async () => {
+    const response = await fetch(strip.imageUrl);
+    if (!response.ok) throw new Error('Failed to fetch image');
+    const blob = await response.blob();
+    return new File([blob], fileName, { type: blob.type || 'image/jpeg' });
+  };
+
+  const download = async () => {
+    try {
+      const file = await fetchStripFile();
+      const url = window.URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Download failed:', err);
+      // Fall back to opening the image so it can be saved manually
+      window.open(strip.imageUrl, '_blank');
+    }
+  };
+
+  const share = async () => {
+    const title = strip.eventName ? `My photo strip from ${strip.eventName}` : 'My photo strip';
+    try {
+      const file = await fetchStripFile().catch(() => null);
+      if (file && navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ title, files: [file] });
+      } else if (navigator.share) {
+        await navigator.share({ title, url: window.location.href });
+      } else {
+        await navigator.clipboard.writeText(window.location.href);
+        setNotice('🔗 Link copied to clipboard');
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Share failed:', err);
+        setNotice('❌ Sharing is not available on this device');
+      }
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-800 flex flex-col items-center px-4 py-8">
+      <h1 className="text-2xl sm:text-4xl font-black text-white mb-2 text-center">📸 Your Photo Strip</h1>
+      {strip?.eventName && <p className="text-white/80 mb-6 text-center">{strip.eventName}</p>}
+
+      {error && (
+        <div className="mt-8 p-4 bg-red-500/80 rounded-2xl text-white text-center max-w-sm">{error}</div>
+      )}
+
+      {!strip && !error && (
+        <div className="mt-12 animate-spin rounded-full h-12 w-12 border-b-2 border-white"></div>
+      )}
+
+      {strip && (
+        <>
+          <img
+            src={strip.imageUrl}
+            alt={strip.eventName ? `Your strip from ${strip.eventName}` : 'Your strip'}
+            className="max-h-[70vh] w-auto rounded-xl shadow-2xl border-4 border-white/20"
+          />
+          <p className="text-white/60 text-sm mt-3">{new Date(strip.timestamp).toLocaleString()}</p>
+
+          <div className="mt-6 flex gap-3 w-full max-w-sm">
+            <button
+              onClick={download}
+              className="flex-1 py-3 bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white rounded-xl font-bold shadow-lg active:scale-95 transition-all duration-300"
+            >
+              📥 Download
+            </button>
+            <button
+              onClick={share}
+              className="flex-1 py-3 bg-gradient-to-r from-emerald-500 to-teal-500 hover:from-emerald-600 hover:to-teal-600 text-white rounded-xl font-bold shadow-lg active:scale-95 transition-all duration-300"
+            >
+              📤 Share
+            </button>
+          </div>
+
+          {notice && <p className="mt-4 text-white/90 text-sm">{notice}</p>}
+        </>
+      )}
+    </div>
+  );
+}
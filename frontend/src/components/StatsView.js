@@ -0,0 +1,222 @@
+import { useEffect, useState, useCallback } from "react";
+import adminApi from "../utils/adminApi";
+
+const inputClass = "px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm";
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+};
+
+// "2024-05-01T14:00" (already in the local time zone) -> "May 1, 2 PM"
+const formatHour = (hour) => new Date(`${hour}:00`).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: 'numeric'
+});
+
+const formatHourOfDay = (hour) => new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+// Vertical bars; `printed` (optional) is drawn as the darker part of each bar
+function BarChart({ data, labelFor, height = 160 }) {
+  const max = Math.max(1, ...data.map(d => d.strips));
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="flex items-end gap-1 min-w-full" style={{ height }}>
+        {data.map(d => (
+          <div
+            key={d.key}
+            className="flex-1 min-w-[14px] flex flex-col justify-end bg-pink-400/70 rounded-t"
+            style={{ height: `${(d.strips / max) * 100}%` }}
+            title={`${labelFor(d)}: ${d.strips} strips${d.printed !== undefined ? `, ${d.printed} printed` : ''}`}
+          >
+            {d.printed !== undefined && d.strips > 0 && (
+              <div className="bg-purple-600 rounded-t" style={{ height: `${(d.printed / d.strips) * 100}%` }} />
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 min-w-full mt-1">
+        {data.map((d, i) => (
+          <div key={d.key} className="flex-1 min-w-[14px] text-[10px] text-white/50 text-center truncate">
+            {i % Math.ceil(data.length / 12) === 0 ? labelFor(d) : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-white/5 rounded-xl p-4 border border-white/10">
+      <p className="text-white/60 text-xs sm:text-sm">{label}</p>
+      <p className="text-white text-xl sm:text-2xl font-bold">{value}</p>
+      {hint && <p className="text-white/50 text-xs">{hint}</p>}
+    </div>
+  );
+}
+
+// Totals, hourly charts and a printable summary for the selected event (or all events)
+export default function StatsView({ selectedEventId, onNotify }) {
+  const [stats, setStats] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [loading, setLoading] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { tz: timeZone };
+      if (selectedEventId) params.event = selectedEventId;
+      // Date inputs are local calendar days - include the whole "to" day
+      if (range.from) params.from = new Date(`${range.from}T00:00:00`).toISOString();
+      if (range.to) params.to = new Date(`${range.to}T23:59:59.999`).toISOString();
+
+      const res = await adminApi.get('/api/analytics', { params });
+      setStats(res.data);
+    } catch (error) {
+      onNotify({ type: 'error', message: `❌ Failed to load stats: ${error.response?.data?.message || error.message}` });
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedEventId, range, onNotify]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  // Plain summary in its own window - the app's print styles are set up for strips
+  const printSummary = () => {
+    const { totals, range: statsRange } = stats;
+    const eventName = selectedEventId ? stats.perEvent[0]?.eventName : null;
+    const rows = (items) => items.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+    const period = statsRange.from
+      ? `${new Date(statsRange.from).toLocaleString()} – ${new Date(statsRange.to).toLocaleString()}`
+      : 'No strips yet';
+
+    const win = window.open('', '_blank');
+    if (!win) {
+      onNotify({ type: 'error', message: '❌ Allow pop-ups to print the summary' });
+      return;
+    }
+    win.document.write(`<!DOCTYPE html><html><head><title>Photobooth summary</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 2rem; color: #222; }
+        h1 { margin-bottom: 0; } p { color: #666; margin-top: .25rem; }
+        table { border-collapse: collapse; margin: 1rem 0 2rem; min-width: 320px; }
+        th, td { border-bottom: 1px solid #ddd; padding: .4rem 1rem .4rem 0; text-align: left; }
+        td { text-align: right; }
+      </style></head><body>
+      <h1>📸 ${escapeHtml(eventName || 'All events')}</h1>
+      <p>${escapeHtml(period)}</p>
+      <h2>Totals</h2>
+      <table>${rows([
+        ['Photo strips', totals.strips],
+        ['Printed', totals.printed],
+        ['Not printed', totals.unprinted],
+        ['Print rate', `${Math.round(totals.printRate * 100)}%`],
+        ['Average time to print', formatDuration(stats.avgSecondsToPrint)]
+      ])}</table>
+      <h2>Busiest hours</h2>
+      <table>${rows(stats.peakHours.map(h => [formatHour(h.hour), `${h.strips} strips`]))}</table>
+      ${stats.perEvent.length > 1 ? `<h2>Per event</h2><table>${rows(stats.perEvent.map(e => [e.eventName || 'Default booth', `${e.strips} strips, ${e.printed} printed`]))}</table>` : ''}
+      <p>Generated ${escapeHtml(new Date().toLocaleString())}</p>
+      </body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+
+  if (!stats) {
+    return <p className="text-white/60 text-sm">{loading ? 'Loading stats...' : 'No stats available.'}</p>;
+  }
+
+  const { totals } = stats;
+  const peak = stats.peakHours[0];
+  const eventName = selectedEventId ? stats.perEvent[0]?.eventName : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+        <div className="flex items-center flex-wrap gap-3 mb-4">
+          <h3 className="flex-1 text-lg sm:text-xl font-bold text-white">📊 Stats {eventName ? `– ${eventName}` : '– All events'}</h3>
+          <input type="date" value={range.from} onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))} className={inputClass} title="From" />
+          <input type="date" value={range.to} onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))} className={inputClass} title="To" />
+          <button
+            onClick={loadStats}
+            disabled={loading}
+            className="px-4 py-2 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-lg text-white text-sm disabled:opacity-50"
+            title="Refresh stats"
+          >
+            🔄
+          </button>
+          <button
+            onClick={printSummary}
+            disabled={totals.strips === 0}
+            className="px-4 py-2 bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+          >
+            🖨️ Print Summary
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+          <StatCard label="Photo strips" value={totals.strips} />
+          <StatCard label="Printed" value={totals.printed} hint={`${Math.round(totals.printRate * 100)}% of strips`} />
+          <StatCard label="Not printed" value={totals.unprinted} />
+          <StatCard label="Avg. time to print" value={formatDuration(stats.avgSecondsToPrint)} />
+          <StatCard label="Busiest hour" value={peak ? formatHour(peak.hour) : '—'} hint={peak ? `${peak.strips} strips` : null} />
+        </div>
+      </div>
+
+      {totals.strips > 0 && (
+        <>
+          <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+            <h4 className="text-white font-bold mb-1">Strips per hour</h4>
+            <p className="text-white/50 text-xs mb-3">
+              <span className="inline-block w-3 h-3 bg-purple-600 rounded-sm align-middle mr-1" />printed
+              <span className="inline-block w-3 h-3 bg-pink-400/70 rounded-sm align-middle ml-3 mr-1" />not printed
+            </p>
+            <BarChart
+              data={stats.perHour.map(h => ({ ...h, key: h.hour }))}
+              labelFor={(d) => formatHour(d.hour)}
+            />
+          </div>
+
+          <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+            <h4 className="text-white font-bold mb-3">Busiest times of day</h4>
+            <BarChart
+              data={stats.perHourOfDay.map(h => ({ key: h.hour, hour: h.hour, strips: h.strips }))}
+              labelFor={(d) => formatHourOfDay(d.hour)}
+              height={120}
+            />
+          </div>
+
+          {stats.perEvent.length > 1 && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+              <h4 className="text-white font-bold mb-3">Per event</h4>
+              <div className="space-y-2">
+                {stats.perEvent.map(e => (
+                  <div key={e.event || 'default'} className="text-sm">
+                    <div className="flex justify-between text-white">
+                      <span className="truncate">{e.eventName || 'Default booth'}</span>
+                      <span className="text-white/70">{e.strips} strips · {e.printed} printed</span>
+                    </div>
+                    <div className="h-2 bg-white/10 rounded">
+                      <div className="h-2 bg-pink-400 rounded" style={{ width: `${(e.strips / stats.perEvent[0].strips) * 100}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+export const DEFAULT_STRIP_FILTERS = {
+  printed: '',
+  from: '',
+  to: '',
+  sort: 'newest',
+  q: ''
+};
+
+// Convert the filter form into GET /api/strips query parameters
+export const stripFilterParams = (filters) => {
+  const params = { sort: filters.sort };
+  if (filters.printed) params.printed = filters.printed;
+  if (filters.q.trim()) params.q = filters.q.trim();
+  // Date inputs are local calendar days - include the whole "to" day
+  if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+  if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+  return params;
+};
+
+const inputClass = "px-3 py-2 rounded-lg bg-slate-800 border border-white/20 text-white text-sm";
+
+export default function StripFilters({ filters, onChange, total }) {
+  const update = (key, value) => onChange({ ...filters, [key]: value });
+  const isFiltered = filters.printed || filters.from || filters.to || filters.q;
+
+  return (
+    <div className="mb-4 sm:mb-6 bg-white/5 rounded-xl border border-white/10 p-3 sm:p-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2 sm:gap-3 items-center">
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => update('q', e.target.value)}
+          placeholder="🔍 Search event or ID"
+          className={`${inputClass} col-span-2 md:col-span-1 lg:col-span-2 placeholder-white/40`}
+        />
+        <select value={filters.printed} onChange={(e) => update('printed', e.target.value)} className={inputClass}>
+          <option value="">All statuses</option>
+          <option value="false">⏳ Pending</option>
+          <option value="true">✅ Printed</option>
+        </select>
+        <select value={filters.sort} onChange={(e) => update('sort', e.target.value)} className={inputClass}>
+          <option value="newest">Newest first</option>
+          <option value="oldest">Oldest first</option>
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => update('from', e.target.value)}
+          className={inputClass}
+          title="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => update('to', e.target.value)}
+          className={inputClass}
+          title="To date"
+        />
+      </div>
+      <div className="mt-2 flex items-center justify-between text-xs sm:text-sm text-gray-300">
+        <span>{total} matching strips</span>
+        {isFiltered && (
+          <button onClick={() => onChange(DEFAULT_STRIP_FILTERS)} className="text-purple-300 hover:text-white">
+            ✕ Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useEffect, useState, useCallback, useRef } from "react";
+import adminApi from "../utils/adminApi";
+
+const THUMBNAIL_WIDTH = 160;
+
+// Render a small JPEG preview of the template for the gallery
+const createThumbnail = (file) => new Promise((resolve) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = Math.round(img.height * (THUMBNAIL_WIDTH / img.width));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(resolve, 'image/jpeg', 0.8);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    resolve(null); // Upload without a thumbnail
+  };
+  img.src = url;
+});
+
+export default function TemplateLibrary({ selectedEventId, onNotify, onChange }) {
+  const [templates, setTemplates] = useState([]);
+  const [activeTemplateId, setActiveTemplateId] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const eventParams = selectedEventId ? { event: selectedEventId } : {};
+
+  const notifyError = useCallback((action, error) => {
+    onNotify({ type: 'error', message: `❌ Failed to ${action}: ${error.response?.data?.message || error.message}` });
+  }, [onNotify]);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const res = await adminApi.get('/api/templates', {
+        params: selectedEventId ? { event: selectedEventId } : {}
+      });
+      setTemplates(res.data.templates);
+      setActiveTemplateId(res.data.activeTemplateId);
+    } catch (error) {
+      notifyError('load templates', error);
+    }
+  }, [selectedEventId, notifyError]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Run an action, then refresh the gallery and the dashboard's settings
+  const run = async (action, successMessage, failure) => {
+    try {
+      setBusy(true);
+      await action();
+      await loadTemplates();
+      onChange();
+      if (successMessage) onNotify({ type: 'success', message: successMessage });
+    } catch (error) {
+      notifyError(failure, error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const uploadTemplate = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const name = window.prompt('Name this template', file.name.replace(/\.[^.]+$/, ''));
+    if (name === null) return;
+
+    await run(async () => {
+      const formData = new FormData();
+      formData.append('image', file);
+      formData.append('name', name);
+      // The first template goes live straight away
+      formData.append('activate', activeTemplateId ? 'false' : 'true');
+      const thumbnail = await createThumbnail(file);
+      if (thumbnail) formData.append('thumbnail', thumbnail, 'thumbnail.jpg');
+
+      await adminApi.post('/api/templates', formData, { params: eventParams });
+    }, '✅ Template added to the library', 'upload template');
+  };
+
+  const activate = (template) => run(
+    () => adminApi.post(`/api/templates/${template._id}/activate`, null, { params: eventParams }),
+    `🖼️ Now using "${template.name}"`,
+    'switch template'
+  );
+
+  const deactivate = () => run(
+    () => adminApi.delete('/api/settings/template', { params: eventParams }),
+    '✅ Booth is now using the default background',
+    'remove template'
+  );
+
+  const rename = (template) => {
+    const name = window.prompt('Rename template', template.name);
+    if (!name || name.trim() === template.name) return;
+    run(() => adminApi.patch(`/api/templates/${template._id}`, { name: name.trim() }), null, 'rename template');
+  };
+
+  const remove = (template) => {
+    if (!window.confirm(`Delete template "${template.name}"? The stored image will be deleted. This action cannot be undone.`)) return;
+    run(() => adminApi.delete(`/api/templates/${template._id}`), '🗑️ Template deleted', 'delete template');
+  };
+
+  return (
+    <div>
+      <div className="flex items-center flex-wrap gap-3 mb-4">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={uploadTemplate}
+          className="hidden"
+        />
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={busy}
+          className="px-6 py-3 bg-gradient-to-r from-pink-500/20 to-red-500/20 border border-pink-400/30 rounded-xl text-white hover:from-pink-500/30 hover:to-red-500/30 transition-all duration-300 text-sm sm:text-base font-medium shadow-lg disabled:opacity-50"
+        >
+          {busy ? '⏳ Working...' : '📁 Upload Template'}
+        </button>
+        {activeTemplateId && (
+          <button
+            onClick={deactivate}
+            disabled={busy}
+            className="px-4 py-3 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl text-white text-sm disabled:opacity-50"
+          >
+            🚫 Use No Template
+          </button>
+        )}
+        <button
+          onClick={loadTemplates}
+          disabled={busy}
+          className="px-4 py-3 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-xl text-white text-sm disabled:opacity-50"
+          title="Refresh template library"
+        >
+          🔄
+        </button>
+      </div>
+
+      {templates.length === 0 ? (
+        <p className="text-white/60 text-sm">No templates yet. Upload one to get started.</p>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+          {templates.map(template => {
+            const isActive = template._id === activeTemplateId;
+            return (
+              <div
+                key={template._id}
+                className={`bg-white/5 rounded-xl p-3 border transition-all duration-300 ${
+                  isActive ? 'border-green-400 ring-2 ring-green-400/50' : 'border-white/10 hover:border-white/30'
+                }`}
+              >
+                <button
+                  onClick={() => !isActive && activate(template)}
+                  disabled={busy || isActive}
+                  className="block w-full h-40 bg-white/10 rounded-lg overflow-hidden"
+                  title={isActive ? 'Active template' : 'Use this template'}
+                >
+                  <img
+                    src={template.thumbnailUrl || template.url}
+                    alt={template.name}
+                    className="w-full h-full object-contain"
+                    loading="lazy"
+                  />
+                </button>
+                <p className="mt-2 text-white text-sm font-semibold truncate" title={template.name}>{template.name}</p>
+                <p className="text-white/50 text-xs">{new Date(template.createdAt).toLocaleDateString()}</p>
+                <div className="mt-2 flex items-center gap-1 flex-wrap">
+                  {isActive ? (
+                    <span className="px-2 py-1 bg-green-500 text-white rounded text-xs font-semibold">✅ Active</span>
+                  ) : (
+                    <button
+                      onClick={() => activate(template)}
+                      disabled={busy}
+                      className="px-2 py-1 bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded text-xs font-semibold disabled:opacity-50"
+                    >
+                      Use
+                    </button>
+                  )}
+                  <button onClick={() => rename(template)} disabled={busy} className="px-2 py-1 bg-white/10 hover:bg-white/20 text-white rounded text-xs" title="Rename">
+                    ✏️
+                  </button>
+                  {!isActive && (
+                    <button onClick={() => remove(template)} disabled={busy} className="px-2 py-1 bg-red-500/80 hover:bg-red-600 text-white rounded text-xs" title="Delete">
+                      🗑️
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
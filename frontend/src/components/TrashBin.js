@@ -0,0 +1,148 @@
+import { useEffect, useState, useCallback } from "react";
+import adminApi from "../utils/adminApi";
+
+// Deleted strips waiting to be purged, with restore and permanent delete
+export default function TrashBin({ selectedEventId, onNotify, onRestored }) {
+  const [strips, setStrips] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [purgeAfterDays, setPurgeAfterDays] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const eventParams = selectedEventId ? { event: selectedEventId } : {};
+
+  const notifyError = useCallback((action, error) => {
+    onNotify({ type: 'error', message: `❌ Failed to ${action}: ${error.response?.data?.message || error.message}` });
+  }, [onNotify]);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const res = await adminApi.get('/api/strips/trash', {
+        params: selectedEventId ? { event: selectedEventId } : {}
+      });
+      setStrips(res.data.strips);
+      setTotal(res.data.total);
+      setPurgeAfterDays(res.data.purgeAfterDays);
+    } catch (error) {
+      notifyError('load trash', error);
+    }
+  }, [selectedEventId, notifyError]);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  // Run an action, then refresh the trash
+  const run = async (action, failure, restored = false) => {
+    try {
+      setBusy(true);
+      const res = await action();
+      onNotify({ type: 'success', message: res.data.message });
+      if (restored) onRestored();
+      await loadTrash();
+    } catch (error) {
+      notifyError(failure, error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const restore = (strip) => run(() => adminApi.post(`/api/strips/${strip._id}/restore`), 'restore strip', true);
+
+  const restoreAll = () => {
+    if (!window.confirm(`Restore all ${total} strips from the trash?`)) return;
+    run(() => adminApi.post('/api/strips/trash/restore', null, { params: eventParams }), 'restore strips', true);
+  };
+
+  const purge = (strip) => {
+    if (!window.confirm('Permanently delete this strip? Its stored image will be deleted. This action cannot be undone.')) return;
+    run(() => adminApi.delete(`/api/strips/trash/${strip._id}`), 'delete strip');
+  };
+
+  const emptyTrash = () => {
+    if (!window.confirm(`⚠️ Permanently delete all ${total} strips in the trash?\n\nTheir stored images will be deleted. This action cannot be undone.`)) return;
+    run(() => adminApi.delete('/api/strips/trash', { params: eventParams }), 'empty trash');
+  };
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-white/20">
+      <div className="flex items-center flex-wrap gap-3 mb-4">
+        <div className="flex-1 min-w-0">
+          <h3 className="text-lg sm:text-xl font-bold text-white">🗑️ Trash ({total})</h3>
+          {purgeAfterDays !== null && (
+            <p className="text-white/60 text-sm">
+              Deleted strips are kept for {purgeAfterDays} days, then their images are removed for good.
+            </p>
+          )}
+        </div>
+        <button
+          onClick={loadTrash}
+          disabled={busy}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500/20 to-cyan-500/20 border border-blue-400/30 rounded-lg text-white text-sm disabled:opacity-50"
+          title="Refresh trash"
+        >
+          🔄
+        </button>
+        {total > 0 && (
+          <>
+            <button
+              onClick={restoreAll}
+              disabled={busy}
+              className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 hover:from-green-600 hover:to-emerald-600 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+            >
+              ♻️ Restore All
+            </button>
+            <button
+              onClick={emptyTrash}
+              disabled={busy}
+              className="px-4 py-2 bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white rounded-lg text-sm font-semibold disabled:opacity-50"
+            >
+              🔥 Empty Trash
+            </button>
+          </>
+        )}
+      </div>
+
+      {strips.length === 0 ? (
+        <p className="text-white/60 text-sm">The trash is empty.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+            {strips.map(strip => (
+              <div key={strip._id} className="bg-white/5 rounded-xl p-2 border border-white/10">
+                <img
+                  src={strip.thumbnailUrl || strip.imageUrl}
+                  alt="Deleted strip"
+                  className="w-full h-40 object-contain rounded-lg bg-white/10 opacity-70"
+                  loading="lazy"
+                />
+                {strip.eventName && <p className="mt-2 text-white text-xs font-semibold truncate">{strip.eventName}</p>}
+                <p className="text-white/60 text-xs">Deleted {new Date(strip.deletedAt).toLocaleString()}</p>
+                <p className="text-red-300 text-xs">Purged {new Date(strip.purgeAt).toLocaleDateString()}</p>
+                <div className="mt-2 flex gap-1">
+                  <button
+                    onClick={() => restore(strip)}
+                    disabled={busy}
+                    className="flex-1 px-2 py-1 bg-gradient-to-r from-green-500 to-emerald-500 text-white rounded text-xs font-semibold disabled:opacity-50"
+                  >
+                    ♻️ Restore
+                  </button>
+                  <button
+                    onClick={() => purge(strip)}
+                    disabled={busy}
+                    className="px-2 py-1 bg-red-500/80 hover:bg-red-600 text-white rounded text-xs disabled:opacity-50"
+                    title="Delete forever"
+                  >
+                    🔥
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          {total > strips.length && (
+            <p className="mt-4 text-white/60 text-sm">Showing the {strips.length} most recently deleted of {total} strips.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
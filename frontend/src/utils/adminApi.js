@@ -0,0 +1,71 @@
+import axios from "axios";
+
+// Fallback API URL if environment variable is not set
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+const SESSION_KEY = 'adminSession';
+
+// Read the stored admin session, dropping it if it has already expired
+export const getSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!session?.token || !session?.expiresAt) return null;
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      localStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Separate axios instance so the admin token is never attached to guest requests
+const adminApi = axios.create({ baseURL: API_BASE_URL });
+
+adminApi.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+let unauthorizedHandler = null;
+
+// Register a callback that runs whenever the backend rejects the session (401)
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+adminApi.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && !error.config?.skipAuthRedirect) {
+      clearSession();
+      if (unauthorizedHandler) unauthorizedHandler(error.response.data?.message);
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const login = async (username, password) => {
+  const response = await adminApi.post('/api/auth/login', { username, password }, { skipAuthRedirect: true });
+  const session = {
+    token: response.data.token,
+    expiresAt: response.data.expiresAt,
+    username: response.data.admin?.username
+  };
+  saveSession(session);
+  return session;
+};
+
+export default adminApi;
@@ -0,0 +1,52 @@
+import { API_BASE_URL } from "./adminApi";
+
+/**
+ * Listen to the backend's live update stream (GET /api/live).
+ * `handlers` maps event types (ready, strip-created, strip-printed, strip-deleted, strip-restored,
+ * settings-updated) to callbacks receiving the parsed payload; `error` receives
+ * connection errors. `ready` fires on every (re)connect. Returns an unsubscribe function.
+ */
+export const subscribeLiveUpdates = ({ event, token } = {}, handlers = {}) => {
+  if (typeof window.EventSource === 'undefined') {
+    console.warn('⚠️ Live updates are not supported in this browser');
+    return () => {};
+  }
+
+  const params = new URLSearchParams();
+  if (event) params.set('event', event);
+  if (token) params.set('token', token); // EventSource cannot send an Authorization header
+
+  const source = new EventSource(`${API_BASE_URL}/api/live?${params}`);
+
+  Object.entries(handlers).forEach(([type, handler]) => {
+    if (type === 'error') {
+      source.addEventListener('error', handler);
+    } else {
+      source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+    }
+  });
+
+  return () => source.close();
+};
+
+// Short notification chime, generated so no audio file has to be shipped
+export const playChime = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const ctx = new AudioContext();
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+
+    osc.frequency.setValueAtTime(880, ctx.currentTime);
+    osc.frequency.setValueAtTime(1320, ctx.currentTime + 0.12);
+    gain.gain.setValueAtTime(0.15, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.4);
+
+    osc.connect(gain).connect(ctx.destination);
+    osc.onended = () => ctx.close();
+    osc.start();
+    osc.stop(ctx.currentTime + 0.4);
+  } catch (error) {
+    console.warn('⚠️ Could not play notification sound:', error.message);
+  }
+};
@@ -0,0 +1,37 @@
+// Photo box layout - mirrors the defaults in backend/models/Settings.js
+export const DEFAULT_LAYOUT = {
+  canvasWidth: 660,   // 2.2 inches × 300 DPI
+  canvasHeight: 1800, // 6 inches × 300 DPI
+  slots: [
+    { x: 70, y: 90, width: 520, height: 385 },
+    { x: 70, y: 515, width: 520, height: 385 },
+    { x: 70, y: 940, width: 520, height: 385 }
+  ],
+  border: {
+    enabled: true,
+    color: '#000000',
+    width: 4
+  }
+};
+
+export const MAX_LAYOUT_SLOTS = 6;
+
+// Fill in anything missing from a stored or cached layout
+export const normalizeLayout = (layout) => {
+  if (!layout || !Array.isArray(layout.slots) || layout.slots.length === 0) {
+    return DEFAULT_LAYOUT;
+  }
+
+  return {
+    canvasWidth: layout.canvasWidth || DEFAULT_LAYOUT.canvasWidth,
+    canvasHeight: layout.canvasHeight || DEFAULT_LAYOUT.canvasHeight,
+    slots: layout.slots.map(({ x, y, width, height }) => ({ x, y, width, height })),
+    border: { ...DEFAULT_LAYOUT.border, ...layout.border }
+  };
+};
+
+// Human-friendly slot names for the capture progress indicator
+export const slotLabel = (index, count) => {
+  if (count === 3) return ['Top', 'Mid', 'Bot'][index];
+  return `#${index + 1}`;
+};
@@ -0,0 +1,59 @@
+/**
+ * IndexedDB outbox for finished strips the booth could not upload (see CapturePage).
+ * Entries keep their Idempotency-Key, so sending one again never creates a
+ * duplicate, even if an earlier attempt did reach the server.
+ *
+ * Entry: { key, blob, template, event, createdAt, attempts, lastError }
+ */
+const DB_NAME = 'photobooth';
+const DB_VERSION = 1;
+const STORE = 'uploadOutbox';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next call try again (e.g. after the storage quota was freed)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run one request against the store; resolves with its result once the transaction has committed
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const isOutboxSupported = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+export const addToOutbox = (entry) => withStore('readwrite', (store) => store.put({
+  createdAt: Date.now(),
+  attempts: 0,
+  lastError: null,
+  ...entry
+}));
+
+export const updateOutboxEntry = (entry) => withStore('readwrite', (store) => store.put(entry));
+
+export const removeFromOutbox = (key) => withStore('readwrite', (store) => store.delete(key));
+
+// Oldest first, so strips print in the order they were taken
+export const listOutbox = async () => {
+  const entries = await withStore('readonly', (store) => store.getAll());
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const countOutbox = () => withStore('readonly', (store) => store.count());